@@ -1,34 +1,288 @@
+import * as React from 'react';
+
 export type Status =
   | 'idle'
   | 'acquiring_media'
   | 'ready'
+  | 'armed'
   | 'recording'
   | 'paused'
   | 'stopping'
   | 'stopped'
   | 'failed';
 
+export type StatusChangeCause =
+  | 'getMediaStream'
+  | 'startRecording'
+  | 'pauseRecording'
+  | 'resumeRecording'
+  | 'stopRecording'
+  | 'clearMediaStream'
+  | 'media_acquired'
+  | 'recorder_stopped'
+  | 'error'
+  | 'voice_detected'
+  | 'silence'
+  | 'limit_reached'
+  | 'track_ended'
+  | 'device_switched'
+  | 'page_hidden'
+  | 'page_visible'
+  | 'disconnect';
+
+export interface AllowedActions {
+  acquire: boolean;
+  start: boolean;
+  pause: boolean;
+  resume: boolean;
+  stop: boolean;
+  clear: boolean;
+}
+
 export type ExperimentalMediaRecorderOptions = {
   audioBitrateMode?: 'constant' | 'variable';
   videoKeyFrameIntervalDuration?: number;
   videoKeyFrameIntervalCount?: number;
 };
 
+export type DeviceKind = 'audio' | 'video';
+
+export interface SelectedDeviceIds {
+  audio: string | null;
+  video: string | null;
+}
+
+export type MediaRecorderErrorCode =
+  | 'permission_denied'
+  | 'device_not_found'
+  | 'device_in_use'
+  | 'constraint_unsatisfiable'
+  | 'unsupported_mime_type'
+  | 'screen_capture_cancelled'
+  | 'recorder_failure'
+  | 'unsupported_browser'
+  | 'invalid_state'
+  | 'unknown';
+
+export type MediaRecorderErrorPhase =
+  | 'validation'
+  | 'acquisition'
+  | 'recording'
+  | 'device_switch';
+
+export declare class MediaRecorderError extends Error {
+  constructor(
+    code: MediaRecorderErrorCode,
+    message?: string,
+    options?: { phase?: MediaRecorderErrorPhase; cause?: unknown }
+  );
+  code: MediaRecorderErrorCode;
+  phase: MediaRecorderErrorPhase | null;
+  cause: unknown;
+}
+
+export type LimitReason = 'maxDuration' | 'maxSize';
+
+export type MediaPermissionState = 'prompt' | 'granted' | 'denied' | 'unsupported';
+
+export interface MediaPermissionStates {
+  camera?: MediaPermissionState;
+  microphone?: MediaPermissionState;
+}
+
+export interface PermissionCheck extends MediaPermissionStates {
+  state: MediaPermissionState;
+}
+
+export interface AudioLevel {
+  rms: number;
+  peak: number;
+}
+
+export interface VoiceActivationEvent {
+  action: 'start' | 'pause' | 'resume' | 'stop';
+  reason: 'voice_detected' | 'silence';
+  level: AudioLevel;
+}
+
+export type UploadStatus =
+  | 'idle'
+  | 'uploading'
+  | 'finalizing'
+  | 'complete'
+  | 'failed';
+
+export interface UploadChunk {
+  sequence: number;
+  size: number;
+  status: 'queued' | 'uploading' | 'uploaded' | 'failed';
+  attempts: number;
+}
+
+export interface UploadProgress {
+  uploadId: string;
+  status: UploadStatus;
+  chunks: UploadChunk[];
+  uploadedBytes: number;
+  totalBytes: number;
+}
+
+export interface ChunkUploaderOptions {
+  url: string;
+  finalizeUrl?: string;
+  method?: string;
+  headers?: Record<string, string>;
+  uploadId?: string;
+  maxRetries?: number;
+  retryDelay?: number;
+  fetch?: typeof fetch;
+  onProgress?: (progress: UploadProgress) => void;
+  onComplete?: (response: Response) => void;
+  onError?: (e: Error) => void;
+}
+
+export interface ChunkUploader {
+  uploadId: string;
+  enqueue: (blob: Blob) => Promise<void>;
+  finalize: (metadata?: Record<string, unknown>) => Promise<void>;
+  retry: () => Promise<void>;
+  getProgress: () => UploadProgress;
+}
+
+export interface PersistedSession {
+  id: string;
+  mimeType: string;
+  startTime: number;
+  chunkCount: number;
+}
+
+export interface PictureInPictureOptions {
+  position?: 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right';
+  size?: number;
+  shape?: 'rectangle' | 'circle';
+  margin?: number;
+  border?: { width?: number; color?: string };
+  frameRate?: number;
+  video?: boolean | MediaTrackConstraints;
+}
+
+export type AudioSource = 'display' | 'microphone';
+
+export interface Marker<T = unknown> {
+  id: string;
+  label: string;
+  time: number;
+  createdAt: number;
+  data?: T;
+}
+
+export interface Segment {
+  id: string;
+  name: string;
+  blob: Blob;
+  size: number;
+  duration: number;
+  startTime: number;
+  endTime: number;
+  markers: Marker[];
+}
+
+export interface SnapshotOptions {
+  type?: 'image/png' | 'image/jpeg' | 'image/webp';
+  quality?: number;
+  width?: number;
+  height?: number;
+  timeout?: number;
+}
+
+export interface VideoPreviewOptions extends Omit<SnapshotOptions, 'width' | 'height'> {
+  posterTime?: number;
+  thumbnailCount?: number;
+  thumbnailWidth?: number;
+}
+
+export interface VideoPreviews {
+  poster: Blob | null;
+  thumbnails: Blob[];
+}
+
+export interface WavOptions {
+  sampleRate?: number;
+  channelCount?: number;
+}
+
+export interface AudioFrame {
+  timeDomain: Float32Array;
+  frequency: Uint8Array;
+  sampleRate: number;
+  timestamp: number;
+}
+
+export type TrackEndedPolicy = 'stop' | 'pause' | 'continue';
+
+export interface TrackHealth {
+  id: string;
+  kind: 'audio' | 'video';
+  source: 'microphone' | 'camera' | 'display' | 'custom';
+  label: string;
+  readyState: MediaStreamTrackState;
+  muted: boolean;
+}
+
 export interface MediaRecorderProps {
   blobOptions?: BlobPropertyBag;
   recordScreen?: boolean;
   customMediaStream?: MediaStream;
   onStart?: () => void;
-  onStop?: (blob: Blob) => void;
+  onStop?: (blob: Blob, markers: Marker[], previews?: VideoPreviews) => void;
   onDataAvailable?: (blob: Blob) => void;
-  onError?: (e: Error) => void;
+  onError?: (e: MediaRecorderError) => void;
+  onStatusChange?: (
+    previous: Status,
+    next: Status,
+    cause: StatusChangeCause
+  ) => void;
+  onTick?: (duration: number) => void;
+  tickInterval?: number;
+  maxDuration?: number;
+  maxSize?: number;
+  onLimitReached?: (reason: LimitReason) => void;
+  meterAudio?: boolean;
+  audioLevelInterval?: number;
+  onAudioLevel?: (level: AudioLevel) => void;
+  silenceThreshold?: number;
+  silenceDuration?: number;
+  voiceActivated?: boolean;
+  voiceThreshold?: number;
+  voiceHangover?: number;
+  voiceSilenceAction?: 'stop' | 'pause';
+  onVoiceActivation?: (event: VoiceActivationEvent) => void;
+  preRoll?: number;
+  preRollTimeSlice?: number;
+  upload?: ChunkUploaderOptions;
+  persist?: boolean;
+  persistDatabaseName?: string;
   mediaRecorderOptions?: MediaRecorderOptions & ExperimentalMediaRecorderOptions;
+  mimeTypes?: string[];
+  pictureInPicture?: boolean | PictureInPictureOptions;
+  keepSegments?: boolean;
+  videoPreviews?: boolean | VideoPreviewOptions;
+  fixWebMMetadata?: boolean;
+  engine?: 'mediaRecorder' | 'wav';
+  wavOptions?: WavOptions;
+  trackEndedPolicy?: TrackEndedPolicy;
+  onTrackEnded?: (event: { track: TrackHealth; action: TrackEndedPolicy }) => void;
+  liveSwitching?: boolean;
+  unmountAction?: 'finalize' | 'discard';
+  hiddenAction?: 'pause' | 'flush';
+  warnBeforeUnload?: boolean;
   mediaStreamConstraints: MediaStreamConstraints;
 }
 
 export interface MediaRecorderHookOptions {
-  error: Error | null;
+  error: MediaRecorderError | null;
   status: Status;
+  can: AllowedActions;
   mediaBlob: Blob | null;
   isAudioMuted: boolean;
   stopRecording: () => void;
@@ -38,13 +292,103 @@ export interface MediaRecorderHookOptions {
   startRecording: (timeSlice?: number) => Promise<void>;
   pauseRecording: () => void;
   resumeRecording: () => void;
-  muteAudio: () => void;
-  unMuteAudio: () => void;
+  muteAudio: (source?: AudioSource) => void;
+  unMuteAudio: (source?: AudioSource) => void;
   liveStream: MediaStream;
+  devices: MediaDeviceInfo[];
+  selectedDeviceIds: SelectedDeviceIds;
+  switchDevice: (
+    kind: DeviceKind,
+    deviceId: string
+  ) => Promise<MediaStream | undefined>;
+  trackHealth: TrackHealth[];
+  permissionState: MediaPermissionState;
+  permissionStates: MediaPermissionStates;
+  checkPermissions: () => Promise<PermissionCheck>;
+  duration: number;
+  startTime: number | null;
+  endTime: number | null;
+  limitReason: LimitReason | null;
+  audioLevel: AudioLevel;
+  isSilent: boolean;
+  subscribeToAudioFrames: (callback: (frame: AudioFrame) => void) => () => void;
+  getWaveformPeaks: (count?: number) => Promise<number[] | null>;
+  uploadProgress: UploadProgress | null;
+  retryUpload: () => Promise<void> | undefined;
+  recoverableSessions: PersistedSession[];
+  recoverSession: (sessionId: string) => Promise<Blob | null>;
+  discardSession: (sessionId: string) => Promise<void>;
+  mimeType: string | null;
+  displayStream: MediaStream | null;
+  cameraStream: MediaStream | null;
+  audioGains: Record<AudioSource, number>;
+  setAudioGain: (source: AudioSource, value: number) => void;
+  mutedAudioSources: Record<AudioSource, boolean>;
+  segments: Segment[];
+  deleteSegment: (id: string) => void;
+  moveSegment: (id: string, toIndex: number) => void;
+  renameSegment: (id: string, name: string) => void;
+  reRecordSegment: (id: string, timeSlice?: number) => Promise<void>;
+  concatenateSegments: () => Promise<Blob | null>;
+  markers: Marker[];
+  addMarker: <T = unknown>(label: string, data?: T) => Marker<T> | null;
+  exportMarkers: (format?: 'vtt' | 'json') => string;
+  takeSnapshot: (options?: SnapshotOptions) => Promise<Blob>;
+  poster: Blob | null;
+  thumbnails: Blob[];
 }
 
 declare function useMediaRecorder(
   options: MediaRecorderProps
 ): MediaRecorderHookOptions;
 
+export declare function createChunkUploader(
+  options: ChunkUploaderOptions
+): ChunkUploader;
+
+export declare function MediaRecorderProvider(
+  props: MediaRecorderProps & { children?: React.ReactNode }
+): React.ReactElement;
+
+export declare function useMediaRecorderSelector<T>(
+  selector: (recorder: MediaRecorderHookOptions) => T
+): T;
+
+export declare function useMediaRecorderContext(): MediaRecorderHookOptions;
+
+export declare function useMediaRecorderStatus(): Status;
+
+export declare function useMediaRecorderStream(): MediaStream | null;
+
+export declare function useMediaRecorderBlob(): Blob | null;
+
+export type MediaRecorderActions = {
+  [K in keyof MediaRecorderHookOptions as MediaRecorderHookOptions[K] extends (
+    ...args: any[]
+  ) => any
+    ? K
+    : never]: MediaRecorderHookOptions[K];
+};
+
+export declare function useMediaRecorderActions(): MediaRecorderActions;
+
+export type MediaRecorderSnapshot = {
+  [K in keyof MediaRecorderHookOptions as MediaRecorderHookOptions[K] extends (
+    ...args: any[]
+  ) => any
+    ? never
+    : K]: MediaRecorderHookOptions[K];
+};
+
+export interface MediaRecorderController extends MediaRecorderActions {}
+
+export declare class MediaRecorderController extends EventTarget {
+  constructor(options: MediaRecorderProps);
+  getSnapshot(): MediaRecorderSnapshot;
+  subscribe(listener: () => void): () => void;
+  setOptions(options: MediaRecorderProps): void;
+  connect(): void;
+  disconnect(): void;
+}
+
 export default useMediaRecorder;
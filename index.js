@@ -11,6 +11,7 @@ function isObject(o) {
 /**
  * Checks whether media type(audio/video) constraints are valid.
  * @param {MediaStreamConstraints} mediaType
+ * @returns {String[]} The constraints this browser doesn't support.
  */
 function validateMediaTrackConstraints(mediaType) {
   let supportedMediaConstraints = null;
@@ -21,307 +22,4846 @@ function validateMediaTrackConstraints(mediaType) {
   }
 
   if (supportedMediaConstraints === null) {
-    return;
+    return [];
   }
 
-  let unSupportedMediaConstraints = Object.keys(mediaType).filter(
-    constraint => !supportedMediaConstraints[constraint]
+  // `advanced` holds constraint sets rather than being a constraint itself
+  return Object.keys(mediaType).filter(
+    constraint =>
+      constraint !== 'advanced' && !supportedMediaConstraints[constraint]
   );
+}
+
+const errorMessages = {
+  permission_denied: 'Permission to use the camera or microphone was denied.',
+  device_not_found: 'No camera or microphone matching the request was found.',
+  device_in_use: 'The camera or microphone is in use or could not be started.',
+  constraint_unsatisfiable:
+    'No device can satisfy the requested media constraints.',
+  unsupported_mime_type: 'The requested MIME type is not supported.',
+  screen_capture_cancelled: 'Screen capture was cancelled.',
+  recorder_failure: 'Recording failed.',
+  unsupported_browser: 'This browser does not support the requested feature.',
+  invalid_state: 'The action is not allowed in the current status.',
+  unknown: 'An unknown error occurred.'
+};
+
+/**
+ * The error reported through `error` and `onError`. `code` is stable across
+ * browsers, `phase` is the step that failed and `cause` is the original
+ * error, if any.
+ */
+class MediaRecorderError extends Error {
+  /**
+   * @param {MediaRecorderErrorCode} code
+   * @param {String} [message]
+   * @param {{ phase?: MediaRecorderErrorPhase, cause?: any }} [options]
+   */
+  constructor(code, message, { phase = null, cause = null } = {}) {
+    super(message || errorMessages[code]);
+    this.name = 'MediaRecorderError';
+    this.code = code;
+    this.phase = phase;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Classifies an error thrown by `getUserMedia`, `getDisplayMedia` or
+ * MediaRecorder. Browsers disagree on names, so legacy ones are mapped too.
+ * @param {any} error
+ * @param {MediaRecorderErrorPhase} phase
+ * @param {('user'|'display')} [source] Which capture call failed.
+ * @returns {MediaRecorderError}
+ */
+function toMediaRecorderError(error, phase, source = 'user') {
+  if (error instanceof MediaRecorderError) {
+    return error;
+  }
+
+  let name = error && error.name;
+  let code = 'unknown';
+
+  if (
+    ['NotAllowedError', 'PermissionDeniedError', 'SecurityError'].includes(
+      name
+    )
+  ) {
+    code =
+      source === 'display' ? 'screen_capture_cancelled' : 'permission_denied';
+  } else if (name === 'AbortError' && source === 'display') {
+    code = 'screen_capture_cancelled';
+  } else if (['NotFoundError', 'DevicesNotFoundError'].includes(name)) {
+    code = 'device_not_found';
+  } else if (
+    ['NotReadableError', 'TrackStartError', 'AbortError'].includes(name)
+  ) {
+    code = 'device_in_use';
+  } else if (
+    ['OverconstrainedError', 'ConstraintNotSatisfiedError'].includes(name)
+  ) {
+    code = 'constraint_unsatisfiable';
+  } else if (name === 'NotSupportedError' && phase === 'recording') {
+    code = 'unsupported_mime_type';
+  } else if (phase === 'recording') {
+    code = 'recorder_failure';
+  }
+
+  return new MediaRecorderError(code, undefined, { phase, cause: error });
+}
+
+const noop = () => {};
+
+/**
+ * Filters a device list down to the audio/video inputs a recorder can use.
+ * @param {MediaDeviceInfo[]} devices
+ */
+function filterInputDevices(devices) {
+  return devices.filter(
+    device => device.kind === 'audioinput' || device.kind === 'videoinput'
+  );
+}
+
+/**
+ * Reads the device id backing the first track of a given kind in a stream.
+ * @param {MediaStream} stream
+ * @param {('audio'|'video')} kind
+ */
+function getTrackDeviceId(stream, kind) {
+  let [track] =
+    kind === 'audio' ? stream.getAudioTracks() : stream.getVideoTracks();
+
+  if (!track || typeof track.getSettings !== 'function') {
+    return null;
+  }
+
+  let settings = track.getSettings() || {};
+
+  return settings.deviceId || null;
+}
+
+/**
+ * Pins track constraints to a specific device while keeping any other
+ * constraints supplied for that media type.
+ * @param {(Boolean|MediaTrackConstraints)} constraints
+ * @param {?String} deviceId
+ */
+function withDeviceId(constraints, deviceId) {
+  if (!deviceId) {
+    return constraints;
+  }
+
+  return Object.assign({}, isObject(constraints) ? constraints : {}, {
+    deviceId: { exact: deviceId }
+  });
+}
+
+/**
+ * Queries a media permission. Browsers without the Permissions API, or that
+ * don't know the name (e.g. Firefox for `camera`), resolve to `null`.
+ * @param {('camera'|'microphone')} name
+ * @returns {Promise<?PermissionStatus>}
+ */
+async function queryPermission(name) {
+  let permissions = window.navigator.permissions;
+
+  if (!permissions || typeof permissions.query !== 'function') {
+    return null;
+  }
+
+  try {
+    return await permissions.query({ name });
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Reduces per-device permission states to one. A denial outranks a pending
+ * prompt, which outranks an unknown state.
+ * @param {Object<String, PermissionStateValue>} states
+ * @returns {PermissionStateValue}
+ */
+function combinePermissionStates(states) {
+  let values = Object.values(states);
+
+  return (
+    ['denied', 'prompt', 'unsupported'].find(state =>
+      values.includes(state)
+    ) || (values.length ? 'granted' : 'unsupported')
+  );
+}
+
+/**
+ * Tracks elapsed recording time, excluding any time spent paused.
+ * @param {Object} options
+ * @param {Function} options.getInterval Returns how often (ms) the duration is refreshed.
+ * @param {Function} options.onTick
+ * @param {Function} options.onChange Receives changes to `duration`, `startTime` and `endTime`.
+ */
+function createRecordingTimer({ getInterval, onTick, onChange }) {
+  let timer = null;
+  let segmentStartedAt = null;
+  let accumulatedDuration = 0;
+  let timestamps = { startTime: null, endTime: null };
+
+  function getElapsed() {
+    let activeDuration =
+      segmentStartedAt === null ? 0 : Date.now() - segmentStartedAt;
+
+    return accumulatedDuration + activeDuration;
+  }
+
+  function tick() {
+    let elapsed = getElapsed();
+
+    onChange({ duration: elapsed });
+    onTick(elapsed);
+  }
+
+  function clearTimer() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  function run() {
+    clearTimer();
+    segmentStartedAt = Date.now();
+    timer = setInterval(tick, getInterval());
+  }
+
+  function halt() {
+    if (segmentStartedAt !== null) {
+      accumulatedDuration += Date.now() - segmentStartedAt;
+      segmentStartedAt = null;
+    }
+
+    clearTimer();
+    onChange({ duration: accumulatedDuration });
+  }
+
+  function setTimestamps(startTime, endTime) {
+    timestamps = { startTime, endTime };
+    onChange(timestamps);
+  }
+
+  function getTimestamps() {
+    return timestamps;
+  }
+
+  function start() {
+    accumulatedDuration = 0;
+    onChange({ duration: 0 });
+    setTimestamps(Date.now(), null);
+    run();
+  }
+
+  // Callers stop on teardown whether or not anything was recorded
+  function stop() {
+    if (timestamps.startTime === null || timestamps.endTime !== null) {
+      return;
+    }
+
+    halt();
+    setTimestamps(timestamps.startTime, Date.now());
+  }
+
+  function reset() {
+    clearTimer();
+    segmentStartedAt = null;
+    accumulatedDuration = 0;
+    onChange({ duration: 0 });
+    setTimestamps(null, null);
+  }
+
+  return {
+    getElapsed,
+    getTimestamps,
+    start,
+    pause: halt,
+    resume: run,
+    stop,
+    reset
+  };
+}
+
+/**
+ * Measures root mean square and peak amplitude of time-domain samples.
+ * @param {Float32Array} samples Values in the range -1 to 1.
+ */
+function measureAudioLevel(samples) {
+  let sumOfSquares = 0;
+  let peak = 0;
+
+  for (let i = 0; i < samples.length; i++) {
+    let amplitude = Math.abs(samples[i]);
+
+    sumOfSquares += amplitude * amplitude;
+    peak = Math.max(peak, amplitude);
+  }
+
+  return {
+    rms: samples.length ? Math.sqrt(sumOfSquares / samples.length) : 0,
+    peak
+  };
+}
+
+const silentAudioLevel = { rms: 0, peak: 0 };
+
+const audioSourceNames = ['display', 'microphone'];
+
+const noVideoPreviews = { poster: null, thumbnails: [] };
+
+/**
+ * Samples the audio tracks of a stream through an AnalyserNode.
+ * @param {Object} options
+ * @param {Function} options.getOptions Returns the latest `enabled`,
+ * `interval`, `silenceThreshold`, `silenceDuration` and `onAudioLevel`
+ * settings.
+ * @param {Function} options.onChange Receives changes to `audioLevel` and `isSilent`.
+ */
+function createAudioLevelMeter({ getOptions, onChange }) {
+  let audioGraph = null;
+  let silentSince = null;
+
+  function sample() {
+    let { analyser, samples } = audioGraph;
+    let { silenceThreshold, silenceDuration, onAudioLevel } = getOptions();
+
+    analyser.getFloatTimeDomainData(samples);
+
+    let level = measureAudioLevel(samples);
+    let now = Date.now();
+
+    if (level.rms < silenceThreshold) {
+      if (silentSince === null) {
+        silentSince = now;
+      }
+    } else {
+      silentSince = null;
+    }
+
+    onChange({
+      audioLevel: level,
+      isSilent: silentSince !== null && now - silentSince >= silenceDuration
+    });
+    onAudioLevel(level);
+  }
+
+  function attach(stream) {
+    detach();
+
+    let AudioContext = window.AudioContext || window.webkitAudioContext;
+    let options = getOptions();
+
+    if (!options.enabled || !stream || !stream.getAudioTracks().length) {
+      return;
+    }
+
+    if (!AudioContext) {
+      console.warn('Audio level metering requires the Web Audio API.');
+      return;
+    }
+
+    let context = new AudioContext();
+    let source = context.createMediaStreamSource(stream);
+    let analyser = context.createAnalyser();
+
+    analyser.fftSize = 2048;
+    source.connect(analyser);
+
+    audioGraph = {
+      context,
+      source,
+      analyser,
+      samples: new Float32Array(analyser.fftSize),
+      timer: setInterval(sample, options.interval)
+    };
+  }
+
+  function detach() {
+    if (!audioGraph) {
+      return;
+    }
+
+    let { context, source, timer } = audioGraph;
+
+    clearInterval(timer);
+    source.disconnect();
+    context.close();
+    audioGraph = null;
+    silentSince = null;
+    onChange({ audioLevel: silentAudioLevel, isSilent: false });
+  }
+
+  return {
+    attach,
+    detach
+  };
+}
+
+/**
+ * Streams analyser frames to subscribers on every animation frame. The audio
+ * graph only exists while there is both a subscriber and an attached stream.
+ */
+function createAudioFrames() {
+  let attachedStream = null;
+  let subscribers = new Set();
+  let audioGraph = null;
+
+  function render(timestamp) {
+    let graph = audioGraph;
+
+    graph.frame = requestAnimationFrame(render);
+    graph.analyser.getFloatTimeDomainData(graph.timeDomain);
+    graph.analyser.getByteFrequencyData(graph.frequency);
+
+    let frame = {
+      timeDomain: graph.timeDomain,
+      frequency: graph.frequency,
+      sampleRate: graph.context.sampleRate,
+      timestamp
+    };
+
+    subscribers.forEach(callback => callback(frame));
+  }
+
+  function open() {
+    let AudioContext = window.AudioContext || window.webkitAudioContext;
+
+    if (audioGraph || !attachedStream || !subscribers.size) {
+      return;
+    }
+
+    if (!AudioContext) {
+      console.warn('Audio frames require the Web Audio API.');
+      return;
+    }
+
+    let context = new AudioContext();
+    let source = context.createMediaStreamSource(attachedStream);
+    let analyser = context.createAnalyser();
+
+    analyser.fftSize = 2048;
+    source.connect(analyser);
+
+    audioGraph = {
+      context,
+      source,
+      analyser,
+      timeDomain: new Float32Array(analyser.fftSize),
+      frequency: new Uint8Array(analyser.frequencyBinCount),
+      frame: requestAnimationFrame(render)
+    };
+  }
+
+  function close() {
+    if (!audioGraph) {
+      return;
+    }
+
+    let { context, source, frame } = audioGraph;
+
+    cancelAnimationFrame(frame);
+    source.disconnect();
+    context.close();
+    audioGraph = null;
+  }
+
+  function attach(stream) {
+    close();
+    attachedStream = stream && stream.getAudioTracks().length ? stream : null;
+    open();
+  }
+
+  function detach() {
+    close();
+    attachedStream = null;
+  }
+
+  function subscribe(callback) {
+    subscribers.add(callback);
+    open();
+
+    return function unsubscribe() {
+      subscribers.delete(callback);
+
+      if (!subscribers.size) {
+        close();
+      }
+    };
+  }
+
+  return {
+    subscribe,
+    attach,
+    detach
+  };
+}
+
+/**
+ * Reduces decoded audio to `count` peak amplitudes between 0 and 1 for
+ * drawing a static waveform. Each peak is the loudest sample of its slice
+ * across all channels.
+ * @param {AudioBuffer} buffer
+ * @param {Number} count
+ * @returns {Number[]}
+ */
+function computePeaks(buffer, count) {
+  let channels = Array.from({ length: buffer.numberOfChannels }, (_, i) =>
+    buffer.getChannelData(i)
+  );
+  let sliceLength = buffer.length / count;
+  let peaks = [];
+
+  for (let i = 0; i < count; i++) {
+    let start = Math.floor(i * sliceLength);
+    let end = Math.min(
+      buffer.length,
+      Math.max(start + 1, Math.floor((i + 1) * sliceLength))
+    );
+    let peak = 0;
+
+    channels.forEach(samples => {
+      for (let j = start; j < end; j++) {
+        peak = Math.max(peak, Math.abs(samples[j]));
+      }
+    });
+
+    peaks.push(Math.min(1, peak));
+  }
+
+  return peaks;
+}
+
+/**
+ * Generates a random identifier for uploads and persisted recordings.
+ */
+function createId() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * @typedef UploadChunk
+ * @type {Object}
+ * @property {Number} sequence
+ * @property {Number} size
+ * @property {('queued'|'uploading'|'uploaded'|'failed')} status
+ * @property {Number} attempts
+ *
+ * @typedef UploadProgress
+ * @type {Object}
+ * @property {String} uploadId
+ * @property {('idle'|'uploading'|'finalizing'|'complete'|'failed')} status
+ * @property {UploadChunk[]} chunks
+ * @property {Number} uploadedBytes
+ * @property {Number} totalBytes
+ *
+ * @typedef ChunkUploaderOptions
+ * @type {Object}
+ * @property {String} url Endpoint that receives each chunk.
+ * @property {String} [finalizeUrl] Endpoint notified once every chunk is uploaded. Defaults to `url`.
+ * @property {String} [method] HTTP method used for chunks. Defaults to `POST`.
+ * @property {Object} [headers]
+ * @property {String} [uploadId]
+ * @property {Number} [maxRetries] Attempts per chunk after the first one fails. Defaults to `3`.
+ * @property {Number} [retryDelay] Base delay (ms) doubled after every failed attempt. Defaults to `500`.
+ * @property {Function} [fetch] Defaults to `window.fetch`.
+ * @property {Function} [onProgress]
+ * @property {Function} [onComplete]
+ * @property {Function} [onError]
+ *
+ * Uploads recorded chunks in order, retrying failed chunks with exponential
+ * backoff. Chunks are sent with `Upload-Id` and `Upload-Sequence` headers and
+ * a final request with `Upload-Complete: true` is made by `finalize`.
+ * @param {ChunkUploaderOptions}
+ */
+function createChunkUploader({
+  url,
+  finalizeUrl = url,
+  method = 'POST',
+  headers = {},
+  uploadId = createId(),
+  maxRetries = 3,
+  retryDelay = 500,
+  fetch = (...args) => window.fetch(...args),
+  onProgress = noop,
+  onComplete = noop,
+  onError = noop
+}) {
+  let queue = [];
+  let uploadStatus = 'idle';
+  let pending = Promise.resolve();
+  let finalizeMetadata = null;
+
+  function getProgress() {
+    let chunks = queue.map(({ sequence, size, status, attempts }) => ({
+      sequence,
+      size,
+      status,
+      attempts
+    }));
+
+    return {
+      uploadId,
+      status: uploadStatus,
+      chunks,
+      uploadedBytes: chunks
+        .filter(chunk => chunk.status === 'uploaded')
+        .reduce((total, chunk) => total + chunk.size, 0),
+      totalBytes: chunks.reduce((total, chunk) => total + chunk.size, 0)
+    };
+  }
+
+  function update(status) {
+    if (status) {
+      uploadStatus = status;
+    }
+
+    onProgress(getProgress());
+  }
+
+  async function send(requestUrl, init) {
+    let response = await fetch(requestUrl, init);
+
+    if (!response.ok) {
+      throw new Error(`Upload request failed with status ${response.status}.`);
+    }
+
+    return response;
+  }
+
+  async function uploadChunk(chunk) {
+    while (chunk.status !== 'uploaded') {
+      chunk.status = 'uploading';
+      chunk.attempts += 1;
+      update('uploading');
+
+      try {
+        await send(url, {
+          method,
+          headers: Object.assign({}, headers, {
+            'Upload-Id': uploadId,
+            'Upload-Sequence': String(chunk.sequence)
+          }),
+          body: chunk.blob
+        });
+        chunk.status = 'uploaded';
+        update();
+      } catch (err) {
+        if (chunk.attempts > maxRetries) {
+          chunk.status = 'failed';
+          update('failed');
+          throw err;
+        }
+
+        await wait(retryDelay * 2 ** (chunk.attempts - 1));
+      }
+    }
+  }
+
+  async function drain() {
+    for (let chunk of queue) {
+      if (chunk.status !== 'uploaded') {
+        await uploadChunk(chunk);
+      }
+    }
+  }
+
+  /**
+   * Chains work after whatever is already in flight. A failed upload stops
+   * the chain until `retry` is called.
+   */
+  function schedule(task) {
+    pending = pending.then(() => {
+      if (uploadStatus !== 'failed') {
+        return task();
+      }
+    });
+    pending = pending.catch(err => onError(err));
+
+    return pending;
+  }
+
+  function enqueue(blob) {
+    queue.push({
+      sequence: queue.length,
+      size: blob.size,
+      blob,
+      status: 'queued',
+      attempts: 0
+    });
+    update();
+
+    return schedule(drain);
+  }
+
+  function finalize(metadata = {}) {
+    finalizeMetadata = metadata;
+
+    return schedule(async () => {
+      await drain();
+      update('finalizing');
+
+      let progress = getProgress();
+      let response = await send(finalizeUrl, {
+        method: 'POST',
+        headers: Object.assign({}, headers, {
+          'Content-Type': 'application/json',
+          'Upload-Id': uploadId,
+          'Upload-Complete': 'true'
+        }),
+        body: JSON.stringify(
+          Object.assign({}, metadata, {
+            uploadId,
+            chunkCount: queue.length,
+            size: progress.totalBytes
+          })
+        )
+      }).catch(err => {
+        update('failed');
+        throw err;
+      });
+
+      update('complete');
+      onComplete(response);
+    });
+  }
+
+  /**
+   * Resumes a failed upload from the first chunk that has not been uploaded,
+   * finalizing it afterwards if `finalize` had already been requested.
+   */
+  function retry() {
+    if (uploadStatus !== 'failed') {
+      return pending;
+    }
+
+    queue.forEach(chunk => {
+      if (chunk.status === 'failed') {
+        chunk.status = 'queued';
+        chunk.attempts = 0;
+      }
+    });
+    uploadStatus = 'uploading';
+
+    return finalizeMetadata ? finalize(finalizeMetadata) : schedule(drain);
+  }
+
+  return {
+    uploadId,
+    enqueue,
+    finalize,
+    retry,
+    getProgress
+  };
+}
+
+/**
+ * Mixes the audio of several streams into a single track with a gain node
+ * per source, since MediaRecorder only records one audio track.
+ * @param {Object.<String, MediaStream>} sources
+ */
+function createAudioMixer(sources) {
+  let AudioContext = window.AudioContext || window.webkitAudioContext;
+  let context = new AudioContext();
+  let destination = context.createMediaStreamDestination();
+  let channels = {};
+
+  function connect(name, stream) {
+    let tracks = stream.getAudioTracks();
+
+    if (!tracks.length) {
+      return;
+    }
+
+    let source = context.createMediaStreamSource(new MediaStream(tracks));
+    let gain = context.createGain();
+
+    source.connect(gain);
+    gain.connect(destination);
+    channels[name] = { tracks, source, gain };
+  }
+
+  function disconnect(name, stopTracks = true) {
+    let channel = channels[name];
+
+    if (!channel) {
+      return;
+    }
+
+    channel.source.disconnect();
+    channel.gain.disconnect();
+
+    if (stopTracks) {
+      channel.tracks.forEach(track => track.stop());
+    }
+
+    delete channels[name];
+  }
+
+  function setGain(name, value) {
+    if (channels[name]) {
+      channels[name].gain.gain.value = value;
+    }
+  }
+
+  function replaceSource(name, stream) {
+    let previous = channels[name];
+    let value = previous ? previous.gain.gain.value : 1;
+
+    disconnect(name);
+    connect(name, stream);
+    setGain(name, value);
+  }
+
+  /**
+   * Resolves whether the mixer is running. Contexts created without a user
+   * gesture start suspended, and a suspended mixer only outputs silence.
+   * @returns {Promise<Boolean>}
+   */
+  function resume() {
+    return Promise.resolve()
+      .then(() => context.resume())
+      .then(
+        () => context.state === 'running',
+        () => false
+      );
+  }
+
+  /**
+   * @param {Boolean} [stopTracks] Whether the source tracks are stopped too.
+   */
+  function stop(stopTracks = true) {
+    Object.keys(channels).forEach(name => disconnect(name, stopTracks));
+    context.close();
+  }
+
+  Object.keys(sources).forEach(name => connect(name, sources[name]));
+
+  return {
+    track: destination.stream.getAudioTracks()[0],
+    setGain,
+    replaceSource,
+    resume,
+    stop
+  };
+}
+
+const defaultPictureInPictureOptions = {
+  position: 'bottom-right',
+  size: 0.25,
+  shape: 'rectangle',
+  margin: 16,
+  border: { width: 0, color: '#ffffff' },
+  frameRate: 30,
+  video: true
+};
+
+function createSourceVideo(stream) {
+  let video = document.createElement('video');
+
+  video.muted = true;
+  video.playsInline = true;
+  video.srcObject = stream;
+
+  let playback = video.play();
+
+  if (playback && typeof playback.catch === 'function') {
+    playback.catch(noop);
+  }
+
+  return video;
+}
+
+/**
+ * Resolves once a video element has a frame that can be drawn.
+ * @param {HTMLVideoElement} video
+ */
+function waitForVideoFrame(video) {
+  return new Promise((resolve, reject) => {
+    if (video.readyState >= 2) {
+      resolve(video);
+      return;
+    }
+
+    video.addEventListener('loadeddata', () => resolve(video), { once: true });
+    video.addEventListener('error', () => reject(video.error), { once: true });
+  });
+}
+
+/**
+ * Grabs the current frame of a video track, preferring `ImageCapture` and
+ * falling back to playing the stream in a detached video element.
+ * @param {MediaStreamTrack} track
+ * @param {Number} timeout Milliseconds to wait for a frame.
+ * @returns {Promise<{ source: CanvasImageSource, width: Number, height: Number, release: Function }>}
+ */
+async function grabVideoFrame(track, timeout) {
+  let timer;
+  // Video elements may never load, e.g. in a background tab
+  let timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error('Taking a snapshot timed out.')),
+      timeout
+    );
+  });
+  let withinTimeout = promise => Promise.race([promise, timedOut]);
+
+  if (window.ImageCapture) {
+    try {
+      let bitmap = await withinTimeout(
+        new window.ImageCapture(track).grabFrame()
+      );
+
+      return {
+        source: bitmap,
+        width: bitmap.width,
+        height: bitmap.height,
+        release: () => bitmap.close()
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  let video = createSourceVideo(new MediaStream([track]));
+  let release = () => {
+    video.srcObject = null;
+  };
+
+  try {
+    await withinTimeout(waitForVideoFrame(video));
+  } catch (error) {
+    release();
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return {
+    source: video,
+    width: video.videoWidth,
+    height: video.videoHeight,
+    release
+  };
+}
+
+/**
+ * Draws a frame onto a canvas of the requested size and encodes it. When only
+ * one of `width` or `height` is given the aspect ratio is kept.
+ * @param {Object} frame
+ * @param {SnapshotOptions} options
+ * @returns {Promise<Blob>}
+ */
+function encodeSnapshot(frame, { type = 'image/png', quality, width, height }) {
+  let canvas = document.createElement('canvas');
+  let aspectRatio = frame.width / frame.height;
+
+  canvas.width =
+    width || (height ? Math.round(height * aspectRatio) : frame.width);
+  canvas.height =
+    height || (width ? Math.round(width / aspectRatio) : frame.height);
+  canvas
+    .getContext('2d')
+    .drawImage(frame.source, 0, 0, canvas.width, canvas.height);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob =>
+        blob ? resolve(blob) : reject(new Error('Unable to encode snapshot.')),
+      type,
+      quality
+    );
+  });
+}
+
+/**
+ * Seeks a video element and resolves once the new frame is available.
+ * @param {HTMLVideoElement} video
+ * @param {Number} seconds
+ * @returns {Promise<HTMLVideoElement>}
+ */
+function seekVideo(video, seconds) {
+  return new Promise((resolve, reject) => {
+    video.addEventListener('seeked', () => resolve(video), { once: true });
+    video.addEventListener('error', () => reject(video.error), { once: true });
+    video.currentTime = seconds;
+  });
+}
+
+const defaultVideoPreviewOptions = {
+  posterTime: 0,
+  thumbnailCount: 5,
+  thumbnailWidth: 160,
+  type: 'image/jpeg',
+  quality: 0.8,
+  timeout: 5000
+};
+
+/**
+ * Renders a poster frame and a strip of evenly spaced thumbnails from a
+ * recorded video. The recorder's own duration is used because recorded WebM
+ * files often report an `Infinity` duration.
+ * @param {Blob} blob
+ * @param {Number} duration Recording duration in milliseconds.
+ * @param {VideoPreviewOptions} options
+ * @returns {Promise<{ poster: Blob, thumbnails: Blob[] }>}
+ */
+async function createVideoPreviews(blob, duration, options) {
+  let url = URL.createObjectURL(blob);
+  let video = document.createElement('video');
+  let timer;
+  // Video elements may never load or seek, e.g. in a background tab
+  let timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error('Generating video previews timed out.')),
+      options.timeout
+    );
+  });
+  let withinTimeout = promise => Promise.race([promise, timeout]);
+
+  video.muted = true;
+  video.preload = 'auto';
+  video.src = url;
+
+  try {
+    await withinTimeout(waitForVideoFrame(video));
+
+    let frame = {
+      source: video,
+      width: video.videoWidth,
+      height: video.videoHeight
+    };
+    let imageOptions = { type: options.type, quality: options.quality };
+    let thumbnailOptions = Object.assign(
+      { width: options.thumbnailWidth },
+      imageOptions
+    );
+    let thumbnails = [];
+
+    await withinTimeout(
+      seekVideo(video, Math.min(options.posterTime, duration) / 1000)
+    );
+
+    let poster = await withinTimeout(encodeSnapshot(frame, imageOptions));
+
+    for (let i = 0; i < options.thumbnailCount; i++) {
+      let time = (duration * (i + 0.5)) / options.thumbnailCount;
+
+      await withinTimeout(seekVideo(video, time / 1000));
+      thumbnails.push(
+        await withinTimeout(encodeSnapshot(frame, thumbnailOptions))
+      );
+    }
+
+    return { poster, thumbnails };
+  } finally {
+    clearTimeout(timer);
+    video.removeAttribute('src');
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Calculates where the camera overlay is drawn on the composited frame.
+ * @param {Object} frame Width and height of the composited frame.
+ * @param {Object} camera Intrinsic width and height of the camera video.
+ * @param {Object} options
+ */
+function getOverlayRect(frame, camera, { position, size, shape, margin }) {
+  let width = Math.round(frame.width * size);
+  let height =
+    shape === 'circle' || !camera.width
+      ? width
+      : Math.round((width * camera.height) / camera.width);
+  let [vertical, horizontal] = position.split('-');
+
+  return {
+    x: horizontal === 'left' ? margin : frame.width - width - margin,
+    y: vertical === 'top' ? margin : frame.height - height - margin,
+    width,
+    height
+  };
+}
+
+/**
+ * Draws the camera over the display capture on a canvas and captures the
+ * result as a single video track. Audio tracks of the display stream are
+ * carried over to the composited stream.
+ * @param {MediaStream} displayStream
+ * @param {MediaStream} cameraStream
+ * @param {Object} options
+ */
+function createPictureInPictureCompositor(
+  displayStream,
+  cameraStream,
+  options
+) {
+  let displayVideo = createSourceVideo(displayStream);
+  let cameraVideo = createSourceVideo(cameraStream);
+  let canvas = document.createElement('canvas');
+  let context = canvas.getContext('2d');
+  let stream = canvas.captureStream(options.frameRate);
+
+  function drawCamera(rect) {
+    let sourceWidth = cameraVideo.videoWidth;
+    let sourceHeight = cameraVideo.videoHeight;
+
+    if (options.shape !== 'circle') {
+      context.drawImage(cameraVideo, rect.x, rect.y, rect.width, rect.height);
+      return;
+    }
+
+    // Crop the largest centered square so the circle is not stretched
+    let side = Math.min(sourceWidth, sourceHeight);
+
+    context.save();
+    context.beginPath();
+    context.arc(
+      rect.x + rect.width / 2,
+      rect.y + rect.height / 2,
+      rect.width / 2,
+      0,
+      Math.PI * 2
+    );
+    context.clip();
+    context.drawImage(
+      cameraVideo,
+      (sourceWidth - side) / 2,
+      (sourceHeight - side) / 2,
+      side,
+      side,
+      rect.x,
+      rect.y,
+      rect.width,
+      rect.height
+    );
+    context.restore();
+  }
+
+  function drawBorder(rect) {
+    let { width, color } = options.border;
+
+    if (!width) {
+      return;
+    }
+
+    context.lineWidth = width;
+    context.strokeStyle = color;
+
+    if (options.shape === 'circle') {
+      context.beginPath();
+      context.arc(
+        rect.x + rect.width / 2,
+        rect.y + rect.height / 2,
+        rect.width / 2,
+        0,
+        Math.PI * 2
+      );
+      context.stroke();
+    } else {
+      context.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    }
+  }
+
+  function draw() {
+    if (!displayVideo.videoWidth) {
+      return;
+    }
+
+    // Resizing clears the canvas so it only happens when the capture resizes
+    if (canvas.width !== displayVideo.videoWidth) {
+      canvas.width = displayVideo.videoWidth;
+    }
+
+    if (canvas.height !== displayVideo.videoHeight) {
+      canvas.height = displayVideo.videoHeight;
+    }
+
+    context.drawImage(displayVideo, 0, 0, canvas.width, canvas.height);
+
+    if (cameraVideo.videoWidth) {
+      let rect = getOverlayRect(
+        canvas,
+        { width: cameraVideo.videoWidth, height: cameraVideo.videoHeight },
+        options
+      );
+
+      drawCamera(rect);
+      drawBorder(rect);
+    }
+  }
+
+  // Timers keep running while the tab is hidden unlike animation frames,
+  // which matters when the tab being recorded is not this one.
+  let timer = setInterval(draw, 1000 / options.frameRate);
+
+  displayStream
+    .getAudioTracks()
+    .forEach(audioTrack => stream.addTrack(audioTrack));
+
+  function stop() {
+    clearInterval(timer);
+    displayVideo.srcObject = null;
+    cameraVideo.srcObject = null;
+    displayStream.getTracks().forEach(track => track.stop());
+    cameraStream.getTracks().forEach(track => track.stop());
+  }
+
+  return {
+    stream,
+    stop
+  };
+}
+
+function canCaptureCanvas() {
+  return (
+    typeof HTMLCanvasElement !== 'undefined' &&
+    typeof HTMLCanvasElement.prototype.captureStream === 'function'
+  );
+}
+
+/**
+ * Draws a camera on a canvas and captures the result as a single video track,
+ * which stays the same when the camera is replaced. The canvas keeps the size
+ * of the first camera and later cameras are fitted into it.
+ * @param {MediaStream} stream
+ * @param {Number} frameRate
+ */
+function createVideoRelay(stream, frameRate) {
+  let video = createSourceVideo(stream);
+  let canvas = document.createElement('canvas');
+  let context = canvas.getContext('2d');
+  let relayStream = canvas.captureStream(frameRate);
+  let isSized = false;
+
+  function draw() {
+    let { videoWidth, videoHeight } = video;
+
+    if (!videoWidth || !videoHeight) {
+      return;
+    }
+
+    if (!isSized) {
+      canvas.width = videoWidth;
+      canvas.height = videoHeight;
+      isSized = true;
+    }
+
+    let scale = Math.min(canvas.width / videoWidth, canvas.height / videoHeight);
+    let width = Math.round(videoWidth * scale);
+    let height = Math.round(videoHeight * scale);
+
+    context.fillStyle = '#000000';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(
+      video,
+      Math.round((canvas.width - width) / 2),
+      Math.round((canvas.height - height) / 2),
+      width,
+      height
+    );
+  }
+
+  // Timers keep running while the tab is hidden unlike animation frames
+  let timer = setInterval(draw, 1000 / frameRate);
+
+  function replaceSource(nextStream) {
+    video.srcObject = null;
+    video = createSourceVideo(nextStream);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    video.srcObject = null;
+    relayStream.getTracks().forEach(track => track.stop());
+  }
+
+  return {
+    track: relayStream.getVideoTracks()[0],
+    replaceSource,
+    stop
+  };
+}
+
+/**
+ * Picks the first MIME type the browser can record, falling back to the
+ * `mimeType` in `mediaRecorderOptions`.
+ * @param {String[]} [mimeTypes] Container/codec strings in order of preference.
+ * @param {Object} [mediaRecorderOptions]
+ * @returns {?String}
+ */
+function negotiateMimeType(mimeTypes, mediaRecorderOptions) {
+  let candidates = (mimeTypes || []).slice();
+
+  if (mediaRecorderOptions && mediaRecorderOptions.mimeType) {
+    candidates.push(mediaRecorderOptions.mimeType);
+  }
+
+  if (typeof MediaRecorder === 'undefined') {
+    return null;
+  }
+
+  return (
+    candidates.find(candidate => MediaRecorder.isTypeSupported(candidate)) ||
+    null
+  );
+}
+
+/**
+ * Writes the 44-byte header of a 16-bit PCM WAV file.
+ * @param {Number} dataSize Size of the sample data in bytes.
+ * @param {Number} channelCount
+ * @param {Number} sampleRate
+ * @returns {ArrayBuffer}
+ */
+function createWavHeader(dataSize, channelCount, sampleRate) {
+  let view = new DataView(new ArrayBuffer(44));
+
+  function writeString(position, text) {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(position + i, text.charCodeAt(i));
+    }
+  }
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, Math.min(36 + dataSize, 0xffffffff), true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channelCount * 2, true);
+  view.setUint16(32, channelCount * 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  return view.buffer;
+}
+
+/**
+ * Interleaves planar samples as 16-bit little-endian PCM.
+ * @param {Float32Array[]} channels One array of samples per channel.
+ * @returns {ArrayBuffer}
+ */
+function encodePcm16(channels) {
+  let channelCount = channels.length;
+  let frameCount = channelCount ? channels[0].length : 0;
+  let view = new DataView(new ArrayBuffer(frameCount * channelCount * 2));
+  let offset = 0;
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    for (let channel = 0; channel < channelCount; channel++) {
+      let sample = Math.max(-1, Math.min(1, channels[channel][frame]));
+
+      view.setInt16(
+        offset,
+        sample < 0 ? sample * 0x8000 : sample * 0x7fff,
+        true
+      );
+      offset += 2;
+    }
+  }
+
+  return view.buffer;
+}
+
+/**
+ * Encodes planar PCM samples as a 16-bit WAV file.
+ * @param {Float32Array[]} channels One array of samples per channel.
+ * @param {Number} sampleRate
+ */
+function encodeWav(channels, sampleRate) {
+  let data = encodePcm16(channels);
+
+  return new Blob(
+    [createWavHeader(data.byteLength, channels.length, sampleRate), data],
+    { type: 'audio/wav' }
+  );
+}
+
+const defaultWavOptions = { sampleRate: 16000, channelCount: 1 };
+
+const pcmCaptureProcessor = `registerProcessor(
+  'pcm-capture',
+  class extends AudioWorkletProcessor {
+    process(inputs) {
+      if (inputs[0].length) {
+        this.port.postMessage(inputs[0].map(channel => channel.slice()));
+      }
+
+      return true;
+    }
+  }
+);`;
+
+/**
+ * Resamples a continuous signal block by block with linear interpolation.
+ * The last sample of each block is carried over to the next one.
+ * @param {Number} inputRate
+ * @param {Number} outputRate
+ * @returns {function(Float32Array): Float32Array}
+ */
+function createResampler(inputRate, outputRate) {
+  let ratio = inputRate / outputRate;
+  let position = 0;
+  let previous = 0;
+
+  return function resample(samples) {
+    if (!samples.length) {
+      return samples;
+    }
+
+    let length = Math.max(
+      0,
+      Math.ceil((samples.length - 1 - position) / ratio)
+    );
+    let output = new Float32Array(length);
+
+    for (let i = 0; i < length; i++) {
+      let index = Math.floor(position + i * ratio);
+      let fraction = position + i * ratio - index;
+      let from = index < 0 ? previous : samples[index];
+
+      output[i] = from + (samples[index + 1] - from) * fraction;
+    }
+
+    position += length * ratio - samples.length;
+    previous = samples[samples.length - 1];
+
+    return output;
+  };
+}
+
+function concatenateSamples(blocks) {
+  let samples = new Float32Array(
+    blocks.reduce((length, block) => length + block.length, 0)
+  );
+  let offset = 0;
+
+  blocks.forEach(block => {
+    samples.set(block, offset);
+    offset += block.length;
+  });
+
+  return samples;
+}
+
+/**
+ * Records 16-bit PCM from the audio of a stream through an AudioWorklet.
+ * Implements the parts of the MediaRecorder interface the hook relies on, so
+ * it can take a MediaRecorder's place. The first chunk starts with a WAV
+ * header whose sizes are left open; `finalizeWavBlob` fills them in.
+ * @param {MediaStream} stream
+ * @param {{ sampleRate: Number, channelCount: Number }} options
+ */
+function createWavRecorder(stream, { sampleRate, channelCount }) {
+  let recorder = new EventTarget();
+  let context = null;
+  let resamplers = [];
+  let pending = [];
+  let headerSent = false;
+  let flushTimer = null;
+
+  function emit(type, properties) {
+    recorder.dispatchEvent(Object.assign(new Event(type), properties));
+  }
+
+  function capture(inputs) {
+    if (recorder.state !== 'recording') {
+      return;
+    }
+
+    let channels = [];
+
+    for (let channel = 0; channel < channelCount; channel++) {
+      let samples = inputs[channel] || inputs[0];
+
+      if (channelCount === 1 && inputs.length > 1) {
+        samples = samples.map(
+          (sample, i) =>
+            inputs.reduce((sum, input) => sum + input[i], 0) / inputs.length
+        );
+      }
+
+      channels.push(resamplers[channel](samples));
+    }
+
+    pending.push(channels);
+  }
+
+  function flush() {
+    let parts = [];
+
+    if (!headerSent) {
+      parts.push(createWavHeader(0xffffffff, channelCount, sampleRate));
+      headerSent = true;
+    }
+
+    if (pending.length) {
+      parts.push(
+        encodePcm16(
+          resamplers.map((resample, channel) =>
+            concatenateSamples(pending.map(channels => channels[channel]))
+          )
+        )
+      );
+      pending = [];
+    }
+
+    if (parts.length) {
+      emit('dataavailable', { data: new Blob(parts, { type: 'audio/wav' }) });
+    }
+  }
+
+  function close() {
+    clearInterval(flushTimer);
+    recorder.state = 'inactive';
+
+    if (context) {
+      context.close();
+      context = null;
+    }
+  }
+
+  recorder.stream = stream;
+  recorder.mimeType = 'audio/wav';
+  recorder.state = 'inactive';
+
+  recorder.start = function start(timeSlice) {
+    let AudioContext = window.AudioContext || window.webkitAudioContext;
+    let moduleUrl = URL.createObjectURL(
+      new Blob([pcmCaptureProcessor], { type: 'application/javascript' })
+    );
+
+    context = new AudioContext();
+    resamplers = Array.from({ length: channelCount }, () =>
+      createResampler(context.sampleRate, sampleRate)
+    );
+    recorder.state = 'recording';
+
+    // Contexts created without a user gesture start suspended and would
+    // capture nothing
+    context
+      .resume()
+      .then(() => context && context.audioWorklet.addModule(moduleUrl))
+      .then(() => {
+        if (!context) {
+          return;
+        }
+
+        let source = context.createMediaStreamSource(stream);
+        let node = new AudioWorkletNode(context, 'pcm-capture');
+        let input = source;
+
+        // Interpolation doesn't filter, so frequencies the output rate can't
+        // represent are removed first instead of folding back as aliasing
+        if (context.sampleRate > sampleRate) {
+          input = context.createBiquadFilter();
+          input.type = 'lowpass';
+          input.frequency.value = sampleRate / 2;
+          source.connect(input);
+        }
+
+        node.port.onmessage = e => capture(e.data);
+        input.connect(node);
+        // Worklets are only guaranteed to run while they reach the output
+        node.connect(context.destination);
+      })
+      .catch(error => {
+        close();
+        emit('error', { error });
+      })
+      .finally(() => URL.revokeObjectURL(moduleUrl));
+
+    if (timeSlice) {
+      flushTimer = setInterval(flush, timeSlice);
+    }
+
+    emit('start');
+  };
+
+  recorder.pause = function pause() {
+    if (recorder.state === 'recording') {
+      recorder.state = 'paused';
+      emit('pause');
+    }
+  };
+
+  recorder.resume = function resume() {
+    if (recorder.state === 'paused') {
+      recorder.state = 'recording';
+      emit('resume');
+    }
+  };
+
+  recorder.requestData = function requestData() {
+    if (recorder.state !== 'inactive') {
+      flush();
+    }
+  };
+
+  recorder.stop = function stop() {
+    if (recorder.state === 'inactive') {
+      return;
+    }
+
+    flush();
+    close();
+    emit('stop');
+  };
+
+  return recorder;
+}
+
+/**
+ * Fills in the sizes of the open WAV header written by `createWavRecorder`.
+ * @param {Blob} blob
+ * @param {{ sampleRate: Number, channelCount: Number }} options
+ * @returns {Blob}
+ */
+function finalizeWavBlob(blob, { sampleRate, channelCount }) {
+  return new Blob(
+    [createWavHeader(blob.size - 44, channelCount, sampleRate), blob.slice(44)],
+    { type: 'audio/wav' }
+  );
+}
+
+/**
+ * Joins decoded audio end to end. Buffers with fewer channels than the widest
+ * one repeat their first channel.
+ * @param {AudioBuffer[]} buffers
+ * @returns {Float32Array[]}
+ */
+function concatenateAudioBuffers(buffers) {
+  let channelCount = Math.max(
+    ...buffers.map(buffer => buffer.numberOfChannels)
+  );
+  let frameCount = buffers.reduce((total, buffer) => total + buffer.length, 0);
+  let channels = [];
+
+  for (let channel = 0; channel < channelCount; channel++) {
+    let samples = new Float32Array(frameCount);
+    let offset = 0;
+
+    buffers.forEach(buffer => {
+      let source = Math.min(channel, buffer.numberOfChannels - 1);
+
+      samples.set(buffer.getChannelData(source), offset);
+      offset += buffer.length;
+    });
+    channels.push(samples);
+  }
+
+  return channels;
+}
+
+function formatWebVTTTimestamp(ms) {
+  let hours = Math.floor(ms / 3600000);
+  let minutes = Math.floor((ms % 3600000) / 60000);
+  let seconds = Math.floor((ms % 60000) / 1000);
+  let milliseconds = Math.floor(ms % 1000);
+  let pad = (value, length = 2) => String(value).padStart(length, '0');
+
+  let time = [hours, minutes, seconds].map(value => pad(value)).join(':');
+
+  return `${time}.${pad(milliseconds, 3)}`;
+}
+
+/**
+ * Turns markers into WebVTT chapters. Each chapter lasts until the next marker
+ * or the end of the recording.
+ * @param {Marker[]} markers
+ * @param {Number} duration Recording duration in milliseconds.
+ */
+function markersToWebVTT(markers, duration) {
+  let cues = markers.map((marker, index) => {
+    let next = markers[index + 1];
+    let end = Math.max(next ? next.time : duration, marker.time);
+
+    return [
+      index + 1,
+      `${formatWebVTTTimestamp(marker.time)} --> ${formatWebVTTTimestamp(end)}`,
+      marker.label
+    ].join('\n');
+  });
+
+  return ['WEBVTT'].concat(cues).join('\n\n') + '\n';
+}
+
+/**
+ * Joins recorded chunks into a single blob typed after the first chunk unless
+ * `blobOptions` says otherwise.
+ * @param {Blob[]} chunks
+ * @param {BlobPropertyBag} [blobOptions]
+ */
+function assembleBlob(chunks, blobOptions) {
+  let [sampleChunk] = chunks;
+  let blobPropertyBag = Object.assign({ type: sampleChunk.type }, blobOptions);
+
+  return new Blob(chunks, blobPropertyBag);
+}
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<ArrayBuffer>}
+ */
+function readBlobAsArrayBuffer(blob) {
+  if (typeof blob.arrayBuffer === 'function') {
+    return blob.arrayBuffer();
+  }
+
+  return new Promise((resolve, reject) => {
+    let reader = new FileReader();
+
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+const ebmlIds = {
+  header: 0x1a45dfa3,
+  segment: 0x18538067,
+  seekHead: 0x114d9b74,
+  info: 0x1549a966,
+  timecodeScale: 0x2ad7b1,
+  duration: 0x4489,
+  tracks: 0x1654ae6b,
+  trackEntry: 0xae,
+  trackNumber: 0xd7,
+  trackType: 0x83,
+  cluster: 0x1f43b675,
+  timecode: 0xe7,
+  cues: 0x1c53bb6b,
+  cuePoint: 0xbb,
+  cueTime: 0xb3,
+  cueTrackPositions: 0xb7,
+  cueTrack: 0xf7,
+  cueClusterPosition: 0xf1
+};
+
+// Elements that end an unknown-sized cluster when they appear.
+const ebmlTopLevelIds = [
+  ebmlIds.header,
+  ebmlIds.segment,
+  ebmlIds.seekHead,
+  ebmlIds.info,
+  ebmlIds.tracks,
+  ebmlIds.cluster,
+  ebmlIds.cues,
+  0x1043a770, // Chapters
+  0x1254c367, // Tags
+  0x1941a469 // Attachments
+];
+
+/**
+ * Reads an EBML variable length integer.
+ * @param {Uint8Array} bytes
+ * @param {Number} offset
+ * @param {Boolean} [keepMarker] Element IDs keep their length marker bits.
+ * @returns {?{ value: Number, length: Number, unknown: Boolean }}
+ */
+function readEBMLVint(bytes, offset, keepMarker) {
+  let first = bytes[offset];
+  let length = 1;
+
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) {
+    length++;
+  }
+
+  if (length > 8 || offset + length > bytes.length) {
+    return null;
+  }
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let unknown = value === 0xff >> length;
+
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[offset + i];
+    unknown = unknown && bytes[offset + i] === 0xff;
+  }
+
+  return { value, length, unknown };
+}
+
+/**
+ * Reads an element header. `dataEnd` is `null` for unknown-sized elements.
+ * @param {Uint8Array} bytes
+ * @param {Number} offset
+ */
+function readEBMLElement(bytes, offset) {
+  let id = readEBMLVint(bytes, offset, true);
+
+  if (!id || id.length > 4) {
+    return null;
+  }
+
+  let size = readEBMLVint(bytes, offset + id.length);
+
+  if (!size) {
+    return null;
+  }
+
+  let dataStart = offset + id.length + size.length;
+
+  return {
+    id: id.value,
+    start: offset,
+    dataStart,
+    dataEnd: size.unknown
+      ? null
+      : Math.min(dataStart + size.value, bytes.length)
+  };
+}
+
+function findEBMLElementEnd(bytes, start, end) {
+  let offset = start;
+
+  while (offset < end) {
+    let child = readEBMLElement(bytes, offset);
+
+    if (!child || ebmlTopLevelIds.includes(child.id)) {
+      break;
+    }
+
+    offset = child.dataEnd === null ? end : child.dataEnd;
+  }
+
+  return Math.min(offset, end);
+}
+
+function readEBMLChildren(bytes, start, end) {
+  let children = [];
+  let offset = start;
+
+  while (offset < end) {
+    let element = readEBMLElement(bytes, offset);
+
+    if (!element) {
+      break;
+    }
+
+    if (element.dataEnd === null) {
+      element.dataEnd = findEBMLElementEnd(bytes, element.dataStart, end);
+    }
+
+    children.push(element);
+    offset = element.dataEnd;
+  }
+
+  return children;
+}
+
+function readEBMLUint(bytes, element) {
+  let value = 0;
+
+  for (let i = element.dataStart; i < element.dataEnd; i++) {
+    value = value * 256 + bytes[i];
+  }
+
+  return value;
+}
+
+function concatenateBytes(parts) {
+  let result = new Uint8Array(
+    parts.reduce((length, part) => length + part.length, 0)
+  );
+  let offset = 0;
+
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+
+  return result;
+}
+
+function encodeEBMLUint(value, length) {
+  if (!length) {
+    length = 1;
+
+    while (value >= 2 ** (8 * length)) {
+      length++;
+    }
+  }
+
+  let bytes = new Uint8Array(length);
+
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+
+  return bytes;
+}
+
+function encodeEBMLSize(size, length) {
+  if (!length) {
+    length = 1;
+
+    while (size >= 2 ** (7 * length) - 1) {
+      length++;
+    }
+  }
+
+  let bytes = encodeEBMLUint(size, length);
+
+  bytes[0] |= 0x80 >> (length - 1);
+
+  return bytes;
+}
+
+/**
+ * @param {Number} id
+ * @param {Uint8Array[]} parts
+ * @param {Number} [sizeLength] Fixed width of the size field.
+ * @returns {Uint8Array}
+ */
+function encodeEBMLElement(id, parts, sizeLength) {
+  let data = concatenateBytes(parts);
+
+  return concatenateBytes([
+    encodeEBMLUint(id),
+    encodeEBMLSize(data.length, sizeLength),
+    data
+  ]);
+}
+
+function encodeEBMLFloat(value) {
+  let bytes = new Uint8Array(8);
+
+  new DataView(bytes.buffer).setFloat64(0, value);
+
+  return bytes;
+}
+
+function getCueTrackNumber(bytes, tracks) {
+  let entries = readEBMLChildren(bytes, tracks.dataStart, tracks.dataEnd)
+    .filter(element => element.id === ebmlIds.trackEntry)
+    .map(entry => {
+      let children = readEBMLChildren(bytes, entry.dataStart, entry.dataEnd);
+      let number = children.find(child => child.id === ebmlIds.trackNumber);
+      let type = children.find(child => child.id === ebmlIds.trackType);
+
+      return {
+        number: number ? readEBMLUint(bytes, number) : 0,
+        isVideo: Boolean(type) && readEBMLUint(bytes, type) === 1
+      };
+    })
+    .filter(entry => entry.number);
+  let entry = entries.find(entry => entry.isVideo) || entries[0];
+
+  return entry ? entry.number : null;
+}
+
+// Cue values are written at a fixed width so the size of the Cues element
+// is known before the cluster positions are.
+function encodeWebMCues(clusters, trackNumber) {
+  return encodeEBMLElement(
+    ebmlIds.cues,
+    clusters.map(cluster =>
+      encodeEBMLElement(ebmlIds.cuePoint, [
+        encodeEBMLElement(ebmlIds.cueTime, [encodeEBMLUint(cluster.time, 8)]),
+        encodeEBMLElement(ebmlIds.cueTrackPositions, [
+          encodeEBMLElement(ebmlIds.cueTrack, [encodeEBMLUint(trackNumber)]),
+          encodeEBMLElement(ebmlIds.cueClusterPosition, [
+            encodeEBMLUint(cluster.position, 8)
+          ])
+        ])
+      ])
+    )
+  );
+}
+
+/**
+ * Rewrites a live-recorded WebM file so it carries its duration and seek
+ * cues. Segment and cluster sizes are made explicit and the cues are placed
+ * ahead of the first cluster, where players find them without a SeekHead.
+ * @param {Uint8Array} bytes
+ * @param {Number} duration Duration in milliseconds.
+ * @returns {?Uint8Array} `null` when the data isn't a WebM file.
+ */
+function injectWebMMetadata(bytes, duration) {
+  let header = readEBMLElement(bytes, 0);
+
+  if (!header || header.id !== ebmlIds.header || header.dataEnd === null) {
+    return null;
+  }
+
+  let segment = readEBMLElement(bytes, header.dataEnd);
+
+  if (!segment || segment.id !== ebmlIds.segment) {
+    return null;
+  }
+
+  let children = readEBMLChildren(
+    bytes,
+    segment.dataStart,
+    segment.dataEnd === null ? bytes.length : segment.dataEnd
+  );
+  let info = children.find(element => element.id === ebmlIds.info);
+  let tracks = children.find(element => element.id === ebmlIds.tracks);
+
+  if (!info) {
+    return null;
+  }
+
+  let infoChildren = readEBMLChildren(bytes, info.dataStart, info.dataEnd);
+  let timecodeScale = infoChildren.find(
+    element => element.id === ebmlIds.timecodeScale
+  );
+  let scale = timecodeScale ? readEBMLUint(bytes, timecodeScale) : 1000000;
+  let head = [
+    encodeEBMLElement(ebmlIds.info, [
+      ...infoChildren
+        .filter(element => element.id !== ebmlIds.duration)
+        .map(element => bytes.subarray(element.start, element.dataEnd)),
+      encodeEBMLElement(ebmlIds.duration, [
+        encodeEBMLFloat((duration * 1000000) / scale)
+      ])
+    ]),
+    ...children
+      .filter(
+        element =>
+          ![
+            ebmlIds.seekHead,
+            ebmlIds.info,
+            ebmlIds.cluster,
+            ebmlIds.cues
+          ].includes(element.id)
+      )
+      .map(element => bytes.subarray(element.start, element.dataEnd))
+  ];
+  let clusters = children
+    .filter(element => element.id === ebmlIds.cluster)
+    .map(cluster => {
+      let timecode = readEBMLChildren(
+        bytes,
+        cluster.dataStart,
+        cluster.dataEnd
+      ).find(element => element.id === ebmlIds.timecode);
+
+      return {
+        time: timecode ? readEBMLUint(bytes, timecode) : 0,
+        bytes: encodeEBMLElement(
+          ebmlIds.cluster,
+          [bytes.subarray(cluster.dataStart, cluster.dataEnd)],
+          8
+        )
+      };
+    });
+  let trackNumber = tracks && getCueTrackNumber(bytes, tracks);
+
+  if (trackNumber && clusters.length) {
+    let position =
+      head.reduce((length, part) => length + part.length, 0) +
+      encodeWebMCues(
+        clusters.map(() => ({ time: 0, position: 0 })),
+        trackNumber
+      ).length;
+
+    clusters.forEach(cluster => {
+      cluster.position = position;
+      position += cluster.bytes.length;
+    });
+    head.push(encodeWebMCues(clusters, trackNumber));
+  }
+
+  return concatenateBytes([
+    bytes.subarray(0, header.dataEnd),
+    encodeEBMLElement(
+      ebmlIds.segment,
+      head.concat(clusters.map(cluster => cluster.bytes)),
+      8
+    )
+  ]);
+}
+
+/**
+ * @param {Blob} blob
+ * @param {Number} duration Duration in milliseconds.
+ * @returns {Promise<Blob>} The original blob when it isn't a WebM file.
+ */
+async function fixWebMBlob(blob, duration) {
+  let buffer = await readBlobAsArrayBuffer(blob);
+  let fixed = injectWebMMetadata(new Uint8Array(buffer), duration);
+
+  return fixed ? new Blob([fixed], { type: blob.type }) : blob;
+}
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * @typedef PersistedSession
+ * @type {Object}
+ * @property {String} id
+ * @property {String} mimeType
+ * @property {Number} startTime
+ * @property {Number} chunkCount
+ *
+ * Stores recording sessions and their chunks in IndexedDB. Chunks are kept as
+ * array buffers because not every browser can store blobs.
+ * @param {String} databaseName
+ */
+function createRecordingStore(databaseName) {
+  let database = null;
+
+  function open() {
+    if (!database) {
+      let request = window.indexedDB.open(databaseName, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('sessions', { keyPath: 'id' });
+        request.result.createObjectStore('chunks', {
+          keyPath: ['sessionId', 'sequence']
+        });
+      };
+      database = promisifyRequest(request);
+    }
+
+    return database;
+  }
+
+  async function transact(storeNames, mode, callback) {
+    let db = await open();
+    let transaction = db.transaction(storeNames, mode);
+    let request = callback(transaction);
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+
+    return request && request.result;
+  }
+
+  function sessionChunksRange(sessionId) {
+    return IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+  }
+
+  function saveSession(session) {
+    return transact(['sessions'], 'readwrite', transaction => {
+      transaction.objectStore('sessions').put(session);
+    });
+  }
+
+  async function saveChunk(session, sequence, blob) {
+    let data = await readBlobAsArrayBuffer(blob);
+
+    return transact(['sessions', 'chunks'], 'readwrite', transaction => {
+      transaction
+        .objectStore('chunks')
+        .put({ sessionId: session.id, sequence, type: blob.type, data });
+      transaction.objectStore('sessions').put(session);
+    });
+  }
+
+  function listSessions() {
+    return transact(['sessions'], 'readonly', transaction =>
+      transaction.objectStore('sessions').getAll()
+    );
+  }
+
+  async function getSessionBlob(sessionId, blobOptions) {
+    let session = await transact(['sessions'], 'readonly', transaction =>
+      transaction.objectStore('sessions').get(sessionId)
+    );
+    let chunks = await transact(['chunks'], 'readonly', transaction =>
+      transaction.objectStore('chunks').getAll(sessionChunksRange(sessionId))
+    );
+    let mimeType = session && session.mimeType;
+
+    if (!chunks.length) {
+      return new Blob();
+    }
+
+    let blob = assembleBlob(
+      chunks.map(chunk => new Blob([chunk.data], { type: chunk.type })),
+      Object.assign(mimeType ? { type: mimeType } : {}, blobOptions)
+    );
+
+    // The WAV header written by the first chunk still has open sizes
+    if (mimeType === 'audio/wav') {
+      let header = new DataView(chunks[0].data);
+
+      blob = finalizeWavBlob(blob, {
+        channelCount: header.getUint16(22, true),
+        sampleRate: header.getUint32(24, true)
+      });
+    }
+
+    return blob;
+  }
+
+  function deleteSession(sessionId) {
+    return transact(['sessions', 'chunks'], 'readwrite', transaction => {
+      transaction.objectStore('sessions').delete(sessionId);
+      transaction.objectStore('chunks').delete(sessionChunksRange(sessionId));
+    });
+  }
+
+  return {
+    saveSession,
+    saveChunk,
+    listSessions,
+    getSessionBlob,
+    deleteSession
+  };
+}
+
+/**
+ * The final `dataavailable` and `stop` events are dispatched after `stop()`
+ * returns, so listeners are only removed once the recorder has stopped.
+ * @param {MediaRecorder} recorder
+ * @param {Object<String, Function>} listeners
+ */
+function detachMediaRecorderListeners(recorder, listeners) {
+  recorder.addEventListener('stop', function handleDetach() {
+    Object.keys(listeners).forEach(event =>
+      recorder.removeEventListener(event, listeners[event])
+    );
+    recorder.removeEventListener('stop', handleDetach);
+  });
+}
+
+/**
+ * The statuses each status can move to. Transitions missing here are refused,
+ * e.g. a `stop` event that arrives after a recording failed leaves the status
+ * at `failed`.
+ */
+const statusTransitions = {
+  idle: ['acquiring_media', 'failed'],
+  acquiring_media: ['ready', 'armed', 'failed'],
+  ready: ['recording', 'idle', 'failed'],
+  armed: ['recording', 'idle', 'failed'],
+  recording: ['paused', 'stopping', 'stopped', 'idle', 'failed'],
+  paused: ['recording', 'stopping', 'stopped', 'idle', 'failed'],
+  stopping: ['stopped', 'failed'],
+  stopped: ['acquiring_media', 'recording', 'idle', 'failed'],
+  failed: ['acquiring_media', 'recording', 'idle']
+};
+
+/**
+ * The statuses each guarded action can be called from.
+ */
+const actionStatuses = {
+  acquire: ['idle', 'stopped', 'failed'],
+  start: ['idle', 'ready', 'armed', 'stopped', 'failed'],
+  pause: ['recording'],
+  resume: ['paused'],
+  stop: ['recording', 'paused'],
+  clear: ['idle', 'ready', 'armed', 'stopped', 'failed']
+};
+
+/**
+ * The `can` flags of every status, built once so that a status always maps to
+ * the same object.
+ */
+const allowedActions = Object.fromEntries(
+  Object.keys(statusTransitions).map(status => [
+    status,
+    Object.fromEntries(
+      Object.keys(actionStatuses).map(action => [
+        action,
+        actionStatuses[action].includes(status)
+      ])
+    )
+  ])
+);
+
+const defaultRecorderOptions = {
+  onStop: noop,
+  onStart: noop,
+  onError: noop,
+  onStatusChange: noop,
+  onTick: noop,
+  tickInterval: 1000,
+  onLimitReached: noop,
+  meterAudio: false,
+  audioLevelInterval: 100,
+  onAudioLevel: noop,
+  silenceThreshold: 0.01,
+  silenceDuration: 2000,
+  voiceActivated: false,
+  voiceThreshold: 0.05,
+  voiceHangover: 2000,
+  voiceSilenceAction: 'stop',
+  onVoiceActivation: noop,
+  preRoll: 0,
+  preRollTimeSlice: 250,
+  persist: false,
+  persistDatabaseName: 'use-media-recorder',
+  keepSegments: false,
+  fixWebMMetadata: false,
+  engine: 'mediaRecorder',
+  trackEndedPolicy: 'stop',
+  liveSwitching: false,
+  onTrackEnded: noop,
+  unmountAction: 'finalize',
+  warnBeforeUnload: false,
+  onDataAvailable: noop,
+  mediaStreamConstraints: {}
+};
+
+/**
+ * Applies `defaultRecorderOptions` to missing and `undefined` options, the
+ * same way default parameters would.
+ * @param {MediaRecorderProps} options
+ */
+function withDefaultOptions(options) {
+  let result = Object.assign({}, defaultRecorderOptions);
+
+  Object.keys(options).forEach(key => {
+    if (options[key] !== undefined) {
+      result[key] = options[key];
+    }
+  });
+
+  return result;
+}
+
+const controllerActions = [
+  'stopRecording',
+  'getMediaStream',
+  'startRecording',
+  'pauseRecording',
+  'resumeRecording',
+  'clearMediaStream',
+  'clearMediaBlob',
+  'muteAudio',
+  'unMuteAudio',
+  'switchDevice',
+  'checkPermissions',
+  'subscribeToAudioFrames',
+  'getWaveformPeaks',
+  'retryUpload',
+  'recoverSession',
+  'discardSession',
+  'setAudioGain',
+  'deleteSegment',
+  'moveSegment',
+  'renameSegment',
+  'reRecordSegment',
+  'concatenateSegments',
+  'addMarker',
+  'exportMarkers',
+  'takeSnapshot'
+];
+
+/**
+ * @typedef Marker
+ * @type {Object}
+ * @property {String} id
+ * @property {String} label
+ * @property {Number} time Recording time in milliseconds, excluding pauses.
+ * @property {Number} createdAt
+ * @property {any} [data]
+ *
+ * @typedef Segment
+ * @type {Object}
+ * @property {String} id
+ * @property {String} name
+ * @property {Blob} blob
+ * @property {Number} size
+ * @property {Number} duration
+ * @property {Number} startTime
+ * @property {Number} endTime
+ * @property {Marker[]} markers
+ *
+ * @typedef SnapshotOptions
+ * @type {Object}
+ * @property {('image/png'|'image/jpeg'|'image/webp')} [type]
+ * @property {Number} [quality] Between 0 and 1 for lossy formats.
+ * @property {Number} [width]
+ * @property {Number} [height]
+ * @property {Number} [timeout] Milliseconds to wait for a frame.
+ *
+ * @typedef VideoPreviewOptions
+ * @type {Object}
+ * @property {Number} [posterTime] Offset (ms) of the poster frame.
+ * @property {Number} [thumbnailCount]
+ * @property {Number} [thumbnailWidth]
+ * @property {('image/png'|'image/jpeg'|'image/webp')} [type]
+ * @property {Number} [quality]
+ * @property {Number} [timeout] Milliseconds to wait before giving up.
+ *
+ * @typedef VideoPreviews
+ * @type {Object}
+ * @property {?Blob} poster
+ * @property {Blob[]} thumbnails
+ *
+ * @typedef WavOptions
+ * @type {Object}
+ * @property {Number} [sampleRate]
+ * @property {Number} [channelCount]
+ *
+ * @typedef PictureInPictureOptions
+ * @type {Object}
+ * @property {('top-left'|'top-right'|'bottom-left'|'bottom-right')} [position]
+ * @property {Number} [size] Overlay width as a fraction of the frame width.
+ * @property {('rectangle'|'circle')} [shape]
+ * @property {Number} [margin]
+ * @property {{ width: Number, color: String }} [border]
+ * @property {Number} [frameRate]
+ * @property {(Boolean|MediaTrackConstraints)} [video] Camera constraints.
+ *
+ * @typedef {('permission_denied'|'device_not_found'|'device_in_use'|'constraint_unsatisfiable'|'unsupported_mime_type'|'screen_capture_cancelled'|'recorder_failure'|'unsupported_browser'|'invalid_state'|'unknown')} MediaRecorderErrorCode
+ *
+ * @typedef {('validation'|'acquisition'|'recording'|'device_switch')} MediaRecorderErrorPhase
+ *
+ * @typedef {('prompt'|'granted'|'denied'|'unsupported')} PermissionStateValue
+ *
+ * @typedef PermissionCheck
+ * @type {Object}
+ * @property {PermissionStateValue} state
+ * @property {PermissionStateValue} [camera]
+ * @property {PermissionStateValue} [microphone]
+ *
+ * @callback Callback
+ * @param {Blob} blob
+ *
+ * @callback StopCallback
+ * @param {Blob} blob
+ * @param {Marker[]} markers
+ * @param {VideoPreviews} [previews]
+ *
+ * @callback ErrorCallback
+ * @param {MediaRecorderError} error
+ *
+ * @typedef {('idle'|'acquiring_media'|'ready'|'armed'|'recording'|'paused'|'stopping'|'stopped'|'failed')} Status
+ *
+ * @typedef {('getMediaStream'|'startRecording'|'pauseRecording'|'resumeRecording'|'stopRecording'|'clearMediaStream'|'media_acquired'|'recorder_stopped'|'error'|'voice_detected'|'silence'|'limit_reached'|'track_ended'|'device_switched'|'page_hidden'|'page_visible'|'disconnect')} StatusChangeCause
+ *
+ * @callback StatusChangeCallback
+ * @param {Status} previous
+ * @param {Status} next
+ * @param {StatusChangeCause} cause
+ *
+ * @typedef AllowedActions
+ * @type {Object}
+ * @property {Boolean} acquire
+ * @property {Boolean} start
+ * @property {Boolean} pause
+ * @property {Boolean} resume
+ * @property {Boolean} stop
+ * @property {Boolean} clear
+ *
+ * @callback TickCallback
+ * @param {Number} duration Elapsed recording time in milliseconds.
+ *
+ * @callback LimitCallback
+ * @param {('maxDuration'|'maxSize')} reason
+ *
+ * @callback AudioLevelCallback
+ * @param {{ rms: Number, peak: Number }} level
+ *
+ * @callback AudioFrameCallback
+ * @param {{ timeDomain: Float32Array, frequency: Uint8Array, sampleRate: Number, timestamp: Number }} frame
+ *
+ * @typedef TrackHealth
+ * @type {Object}
+ * @property {String} id
+ * @property {('audio'|'video')} kind
+ * @property {('microphone'|'camera'|'display'|'custom')} source
+ * @property {String} label
+ * @property {('live'|'ended')} readyState
+ * @property {Boolean} muted
+ *
+ * @callback TrackEndedCallback
+ * @param {{ track: TrackHealth, action: ('stop'|'pause'|'continue') }} event
+ *
+ * @callback VoiceActivationCallback
+ * @param {{ action: ('start'|'pause'|'resume'|'stop'), reason: ('voice_detected'|'silence'), level: { rms: Number, peak: Number } }} event
+ *
+ * @typedef MediaRecorderProps
+ * @type {Object}
+ * @property {BlobPropertyBag} [blobOptions]
+ * @property {Boolean} [recordScreen]
+ * @property {MediaStream} [customMediaStream]
+ * @property {Function} [onStart]
+ * @property {StopCallback} [onStop]
+ * @property {Callback} [onDataAvailable]
+ * @property {ErrorCallback} [onError]
+ * @property {StatusChangeCallback} [onStatusChange]
+ * @property {TickCallback} [onTick]
+ * @property {Number} [tickInterval]
+ * @property {Number} [maxDuration]
+ * @property {Number} [maxSize]
+ * @property {LimitCallback} [onLimitReached]
+ * @property {Boolean} [meterAudio]
+ * @property {Number} [audioLevelInterval]
+ * @property {AudioLevelCallback} [onAudioLevel]
+ * @property {Number} [silenceThreshold]
+ * @property {Number} [silenceDuration]
+ * @property {Boolean} [voiceActivated]
+ * @property {Number} [voiceThreshold]
+ * @property {Number} [voiceHangover]
+ * @property {('stop'|'pause')} [voiceSilenceAction]
+ * @property {VoiceActivationCallback} [onVoiceActivation]
+ * @property {Number} [preRoll]
+ * @property {Number} [preRollTimeSlice]
+ * @property {ChunkUploaderOptions} [upload]
+ * @property {Boolean} [persist]
+ * @property {String} [persistDatabaseName]
+ * @property {Object} [mediaRecorderOptions]
+ * @property {String[]} [mimeTypes]
+ * @property {(Boolean|PictureInPictureOptions)} [pictureInPicture]
+ * @property {Boolean} [keepSegments]
+ * @property {(Boolean|VideoPreviewOptions)} [videoPreviews]
+ * @property {Boolean} [fixWebMMetadata]
+ * @property {('mediaRecorder'|'wav')} [engine]
+ * @property {WavOptions} [wavOptions]
+ * @property {('stop'|'pause'|'continue')} [trackEndedPolicy]
+ * @property {TrackEndedCallback} [onTrackEnded]
+ * @property {Boolean} [liveSwitching]
+ * @property {('finalize'|'discard')} [unmountAction]
+ * @property {('pause'|'flush')} [hiddenAction]
+ * @property {Boolean} [warnBeforeUnload]
+ * @property {MediaStreamConstraints} mediaStreamConstraints
+ *
+ * @typedef MediaRecorderHookOptions
+ * @type {Object}
+ * @property {?MediaRecorderError} error
+ * @property {Status} status
+ * @property {AllowedActions} can
+ * @property {?Blob} mediaBlob
+ * @property {Boolean} isAudioMuted
+ * @property {Function} stopRecording,
+ * @property {Function} getMediaStream,
+ * @property {Function} clearMediaStream,
+ * @property {Function} clearMediaBlob,
+ * @property {Function} startRecording,
+ * @property {Function} pauseRecording,
+ * @property {Function} resumeRecording,
+ * @property {Function} muteAudio
+ * @property {Function} unMuteAudio
+ * @property {?MediaStream} liveStream
+ * @property {MediaDeviceInfo[]} devices
+ * @property {{ audio: ?String, video: ?String }} selectedDeviceIds
+ * @property {Function} switchDevice
+ * @property {TrackHealth[]} trackHealth
+ * @property {PermissionStateValue} permissionState
+ * @property {{ camera: PermissionStateValue, microphone: PermissionStateValue }} permissionStates
+ * @property {function(): Promise<PermissionCheck>} checkPermissions
+ * @property {Number} duration
+ * @property {?Number} startTime
+ * @property {?Number} endTime
+ * @property {?('maxDuration'|'maxSize')} limitReason
+ * @property {{ rms: Number, peak: Number }} audioLevel
+ * @property {Boolean} isSilent
+ * @property {function(AudioFrameCallback): Function} subscribeToAudioFrames
+ * @property {Function} getWaveformPeaks
+ * @property {?UploadProgress} uploadProgress
+ * @property {Function} retryUpload
+ * @property {PersistedSession[]} recoverableSessions
+ * @property {Function} recoverSession
+ * @property {Function} discardSession
+ * @property {?String} mimeType
+ * @property {?MediaStream} displayStream
+ * @property {?MediaStream} cameraStream
+ * @property {{ display: Number, microphone: Number }} audioGains
+ * @property {Function} setAudioGain
+ * @property {{ display: Boolean, microphone: Boolean }} mutedAudioSources
+ * @property {Segment[]} segments
+ * @property {Function} deleteSegment
+ * @property {Function} moveSegment
+ * @property {Function} renameSegment
+ * @property {Function} reRecordSegment
+ * @property {Function} concatenateSegments
+ * @property {Marker[]} markers
+ * @property {Function} addMarker
+ * @property {Function} exportMarkers
+ * @property {Function} takeSnapshot
+ * @property {?Blob} poster
+ * @property {Blob[]} thumbnails
+ *
+ * @typedef {Object} MediaRecorderSnapshot The values of
+ * `MediaRecorderHookOptions`, without its functions.
+ *
+ * Records audio, video or the screen with the MediaRecorder API without
+ * depending on React. State is exposed as an immutable snapshot through
+ * `getSnapshot` and `subscribe`, and `start`, `stop`, `dataavailable` and
+ * `error` events are dispatched alongside the matching callbacks.
+ */
+class MediaRecorderController extends EventTarget {
+  /**
+   * @param {MediaRecorderProps} options
+   */
+  constructor(options) {
+    super();
+    this.options = withDefaultOptions(options);
+    this.subscribers = new Set();
+    this.connection = null;
+    this.permissionWatch = null;
+    this.unloadGuard = null;
+    this.reportedCapabilityError = null;
+    this.mediaChunks = [];
+    this.mediaChunksSize = 0;
+    this.mediaStream = null;
+    this.mediaRecorder = null;
+    this.mediaRecorderListeners = null;
+    this.recordingTimeSlice = undefined;
+    this.durationLimitTimer = null;
+    this.pausedForSilence = false;
+    this.pausedForTrackEnd = false;
+    this.pausedForHidden = false;
+    this.quietSince = null;
+    this.watchedTracks = new Map();
+    this.preRollBuffer = null;
+    this.chunkUploader = null;
+    this.recordingStore = null;
+    this.persistedSession = null;
+    this.pendingPersistence = Promise.resolve();
+    this.compositor = null;
+    this.audioMixer = null;
+    this.videoRelay = null;
+    this.recordingStream = null;
+    this.replacedSegmentId = null;
+    this.recordedMarkers = [];
+    this.recordingTimer = createRecordingTimer({
+      getInterval: () => this.options.tickInterval,
+      onTick: elapsed => this.options.onTick(elapsed),
+      onChange: values => this.setState(values)
+    });
+    this.audioLevelMeter = createAudioLevelMeter({
+      getOptions: () => ({
+        enabled: this.options.meterAudio || this.options.voiceActivated,
+        interval: this.options.audioLevelInterval,
+        silenceThreshold: this.options.silenceThreshold,
+        silenceDuration: this.options.silenceDuration,
+        onAudioLevel: level => this.handleAudioLevel(level)
+      }),
+      onChange: values => this.setState(values)
+    });
+    this.audioFrames = createAudioFrames();
+
+    let permissionStates = Object.fromEntries(
+      this.getPermissionNames().map(name => [name, 'prompt'])
+    );
+
+    this.state = {
+      status: 'idle',
+      can: allowedActions.idle,
+      error: null,
+      mediaBlob: null,
+      isAudioMuted: false,
+      liveStream: null,
+      devices: [],
+      selectedDeviceIds: { audio: null, video: null },
+      trackHealth: [],
+      permissionState: combinePermissionStates(permissionStates),
+      permissionStates,
+      duration: 0,
+      startTime: null,
+      endTime: null,
+      limitReason: null,
+      audioLevel: silentAudioLevel,
+      isSilent: false,
+      uploadProgress: null,
+      recoverableSessions: [],
+      mimeType: this.getMimeType(),
+      displayStream: null,
+      cameraStream: null,
+      audioGains: { display: 1, microphone: 1 },
+      mutedAudioSources: { display: false, microphone: false },
+      segments: [],
+      markers: [],
+      poster: null,
+      thumbnails: []
+    };
+
+    // Actions are handed around detached, e.g. as event handlers
+    controllerActions
+      .concat('subscribe', 'getSnapshot')
+      .forEach(name => {
+        this[name] = this[name].bind(this);
+      });
+  }
+
+  /**
+   * @param {function(): void} listener Called after every state change.
+   * @returns {function(): void} Removes the listener.
+   */
+  subscribe(listener) {
+    this.subscribers.add(listener);
+
+    return () => {
+      this.subscribers.delete(listener);
+    };
+  }
+
+  /**
+   * The current state. A new object is created on every change, so snapshots
+   * can be compared by reference.
+   * @returns {MediaRecorderSnapshot}
+   */
+  getSnapshot() {
+    return this.state;
+  }
+
+  setState(patch) {
+    let previous = this.state;
+
+    this.state = Object.assign({}, previous, patch);
+    this.state.can = allowedActions[this.state.status];
+    this.state.permissionState = combinePermissionStates(
+      this.state.permissionStates
+    );
+
+    if (this.state.status !== previous.status) {
+      this.updateUnloadGuard();
+    }
+
+    this.subscribers.forEach(listener => listener());
+  }
+
+  emit(type, properties) {
+    this.dispatchEvent(Object.assign(new Event(type), properties));
+  }
+
+  /**
+   * Moves to `next` if `statusTransitions` allows it. Staying at the same
+   * status only applies `patch`.
+   * @param {Status} next
+   * @param {StatusChangeCause} cause
+   * @param {Object} [patch] Other state to change along with the status.
+   * @returns {Boolean} Whether the status is now `next`.
+   */
+  transition(next, cause, patch) {
+    let previous = this.state.status;
+
+    if (next === previous) {
+      if (patch) {
+        this.setState(patch);
+      }
+
+      return true;
+    }
+
+    if (!statusTransitions[previous].includes(next)) {
+      return false;
+    }
+
+    this.setState(Object.assign({}, patch, { status: next }));
+    this.options.onStatusChange(previous, next, cause);
+    this.emit('statuschange', { previous, status: next, cause });
+
+    return true;
+  }
+
+  /**
+   * @param {('acquire'|'start'|'pause'|'resume'|'stop'|'clear')} action
+   * @param {String} name The function that was called.
+   * @throws {MediaRecorderError} When `action` isn't allowed in the current
+   * status.
+   */
+  assertCan(action, name) {
+    let { status } = this.state;
+
+    if (!actionStatuses[action].includes(status)) {
+      throw new MediaRecorderError(
+        'invalid_state',
+        `\`${name}\` cannot be called while the status is \`${status}\`.`
+      );
+    }
+  }
+
+  /**
+   * Replaces the options. Callbacks and settings are read when they are
+   * needed, so changes apply to a recording in progress where possible.
+   * @param {MediaRecorderProps} options
+   */
+  setOptions(options) {
+    let previous = this.options;
+    let previousPermissionNames = this.getPermissionNames().join();
+
+    this.options = withDefaultOptions(options);
+
+    let mimeType = this.getMimeType();
+
+    if (mimeType !== this.state.mimeType) {
+      this.setState({ mimeType });
+    }
+
+    if (!this.connection) {
+      return;
+    }
+
+    if (this.getPermissionNames().join() !== previousPermissionNames) {
+      this.watchPermissions();
+    }
+
+    if (this.options.persist && !previous.persist) {
+      this.refreshRecoverableSessions();
+    }
+
+    this.updateUnloadGuard();
+    this.reportCapabilityError();
+  }
+
+  /**
+   * Starts following devices, permissions and the page lifecycle.
+   */
+  connect() {
+    if (this.connection) {
+      return;
+    }
+
+    let mediaDevices = window.navigator.mediaDevices;
+    let handleDeviceChange = () => this.refreshDevices();
+    let handlePageHide = () => this.handlePageHidden();
+    let handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        this.handlePageHidden();
+      } else {
+        this.handlePageVisible();
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', handlePageHide);
+    this.connection = [
+      () =>
+        document.removeEventListener(
+          'visibilitychange',
+          handleVisibilityChange
+        ),
+      () => window.removeEventListener('pagehide', handlePageHide)
+    ];
+
+    if (mediaDevices && typeof mediaDevices.addEventListener === 'function') {
+      mediaDevices.addEventListener('devicechange', handleDeviceChange);
+      this.connection.push(() =>
+        mediaDevices.removeEventListener('devicechange', handleDeviceChange)
+      );
+    }
+
+    if (this.options.persist) {
+      this.refreshRecoverableSessions();
+    }
+
+    this.watchPermissions();
+    this.refreshDevices();
+    this.updateUnloadGuard();
+    this.reportCapabilityError();
+  }
+
+  /**
+   * Stops following the environment and releases everything the controller
+   * acquired. A recording in progress is either finalized, which still calls
+   * `onStop`, or dropped without a trace.
+   */
+  disconnect() {
+    let recorder = this.mediaRecorder;
+    let listeners = this.mediaRecorderListeners;
+
+    if (this.connection) {
+      this.connection.forEach(disconnect => disconnect());
+      this.connection = null;
+    }
+
+    this.unwatchPermissions();
+    this.updateUnloadGuard();
+
+    if (recorder && recorder.state !== 'inactive') {
+      if (this.options.unmountAction === 'discard') {
+        Object.keys(listeners).forEach(event =>
+          recorder.removeEventListener(event, listeners[event])
+        );
+
+        if (this.persistedSession) {
+          let { id } = this.persistedSession;
+
+          this.persistedSession = null;
+          this.persistTask(store => store.deleteSession(id));
+        }
+
+        this.transition('idle', 'disconnect');
+      } else {
+        this.transition('stopping', 'disconnect');
+        detachMediaRecorderListeners(recorder, listeners);
+      }
+
+      recorder.stop();
+      this.mediaRecorder = null;
+    }
+
+    this.recordingTimer.stop();
+    this.clearDurationLimit();
+
+    // Tracks of a custom stream belong to the caller
+    if (this.options.customMediaStream) {
+      this.unwatchTracks();
+      this.audioLevelMeter.detach();
+      this.audioFrames.detach();
+      this.stopPreRoll();
+    } else {
+      this.releaseMediaStream();
+      this.transition('idle', 'disconnect');
+    }
+  }
+
+  getMimeType() {
+    let { engine, mimeTypes, mediaRecorderOptions } = this.options;
+
+    return engine === 'wav'
+      ? 'audio/wav'
+      : negotiateMimeType(mimeTypes, mediaRecorderOptions);
+  }
+
+  getWavSettings() {
+    return Object.assign({}, defaultWavOptions, this.options.wavOptions);
+  }
+
+  isRecording() {
+    return (
+      Boolean(this.mediaRecorder) && this.mediaRecorder.state !== 'inactive'
+    );
+  }
+
+  async refreshDevices() {
+    let mediaDevices = window.navigator.mediaDevices;
+
+    if (!mediaDevices || typeof mediaDevices.enumerateDevices !== 'function') {
+      return;
+    }
+
+    try {
+      let deviceList = await mediaDevices.enumerateDevices();
+
+      this.setState({ devices: filterInputDevices(deviceList) });
+    } catch (err) {
+      console.warn('Unable to enumerate media devices.', err);
+    }
+  }
+
+  /**
+   * The permissions `getMediaStream` will ask for. Screen capture can't be
+   * queried, so only the microphone and camera are tracked.
+   */
+  getPermissionNames() {
+    let { customMediaStream, recordScreen, pictureInPicture } = this.options;
+    let { mediaStreamConstraints } = this.options;
+    let names = [];
+
+    if (customMediaStream) {
+      return names;
+    }
+
+    if (mediaStreamConstraints.audio) {
+      names.push('microphone');
+    }
+
+    if (recordScreen ? pictureInPicture : mediaStreamConstraints.video) {
+      names.push('camera');
+    }
+
+    return names;
+  }
+
+  /**
+   * Pre-flight check that reports whether `getMediaStream` would prompt, fail
+   * or succeed without acquiring any media.
+   * @returns {Promise<PermissionCheck>}
+   */
+  async checkPermissions() {
+    let permissionNames = this.getPermissionNames();
+    let statuses = await Promise.all(permissionNames.map(queryPermission));
+    let states = {};
+
+    permissionNames.forEach((name, i) => {
+      states[name] = statuses[i] ? statuses[i].state : 'unsupported';
+    });
+    this.setState({ permissionStates: states });
+
+    return Object.assign({ state: combinePermissionStates(states) }, states);
+  }
+
+  /**
+   * Keeps `permissionStates` in sync for browsers that fire permission change
+   * events.
+   */
+  watchPermissions() {
+    let permissionNames = this.getPermissionNames();
+    let subscriptions = [];
+    let cancelled = false;
+
+    this.unwatchPermissions();
+    this.permissionWatch = () => {
+      cancelled = true;
+      subscriptions.forEach(unsubscribe => unsubscribe());
+    };
+
+    Promise.all(permissionNames.map(queryPermission)).then(statuses => {
+      let states = {};
+
+      if (cancelled) {
+        return;
+      }
+
+      permissionNames.forEach((name, i) => {
+        let status = statuses[i];
+
+        states[name] = status ? status.state : 'unsupported';
+
+        if (status && typeof status.addEventListener === 'function') {
+          let handleChange = () =>
+            this.setState({
+              permissionStates: Object.assign({}, this.state.permissionStates, {
+                [name]: status.state
+              })
+            });
+
+          status.addEventListener('change', handleChange);
+          subscriptions.push(() =>
+            status.removeEventListener('change', handleChange)
+          );
+        }
+      });
+      this.setState({ permissionStates: states });
+    });
+  }
+
+  unwatchPermissions() {
+    if (this.permissionWatch) {
+      this.permissionWatch();
+      this.permissionWatch = null;
+    }
+  }
+
+  syncSelectedDeviceIds(stream) {
+    let selected = this.state.selectedDeviceIds;
+
+    this.setState({
+      selectedDeviceIds: {
+        audio: getTrackDeviceId(stream, 'audio') || selected.audio,
+        video: this.options.recordScreen
+          ? selected.video
+          : getTrackDeviceId(stream, 'video') || selected.video
+      }
+    });
+  }
+
+  async getMediaStream() {
+    this.assertCan('acquire', 'getMediaStream');
+
+    return this.acquireMediaStream('getMediaStream');
+  }
+
+  async acquireMediaStream(cause) {
+    let { customMediaStream, recordScreen, pictureInPicture } = this.options;
+    let { mediaStreamConstraints } = this.options;
+    let wasConnected = Boolean(this.connection);
+
+    if (this.state.error) {
+      this.setState({ error: null });
+    }
+
+    this.transition('acquiring_media', cause);
+
+    if (customMediaStream) {
+      if(!customMediaStream instanceof MediaStream) {
+        console.warn('Some operations may fail because the provided media stream is not an instance of `MediaStream`.');
+      }
+
+      this.mediaStream = customMediaStream;
+      this.watchTracks(customMediaStream.getTracks(), 'custom');
+      this.audioLevelMeter.attach(customMediaStream);
+      this.audioFrames.attach(customMediaStream);
+      this.startPreRoll();
+      this.setState({ liveStream: customMediaStream });
+      this.transition(
+        this.options.voiceActivated ? 'armed' : 'ready',
+        'media_acquired'
+      );
+
+      return customMediaStream;
+    }
+
+    try {
+      let stream;
+
+      if (recordScreen) {
+        stream = await window.navigator.mediaDevices
+          .getDisplayMedia(mediaStreamConstraints)
+          .catch(err => {
+            throw toMediaRecorderError(err, 'acquisition', 'display');
+          });
+
+        if (this.releaseIfDisconnected(wasConnected, [stream])) {
+          return;
+        }
+
+        this.watchTracks(stream.getTracks(), 'display');
+      } else {
+        stream = await window.navigator.mediaDevices.getUserMedia(
+          this.getUserMediaConstraints()
+        );
+
+        if (this.releaseIfDisconnected(wasConnected, [stream])) {
+          return;
+        }
+
+        this.watchTracks(stream.getAudioTracks(), 'microphone');
+        this.watchTracks(stream.getVideoTracks(), 'camera');
+      }
+
+      if (recordScreen && mediaStreamConstraints.audio) {
+        let audioStream = await window.navigator.mediaDevices
+          .getUserMedia({
+            audio: withDeviceId(
+              mediaStreamConstraints.audio,
+              this.state.selectedDeviceIds.audio
+            )
+          })
+          .catch(err => {
+            stream.getTracks().forEach(track => track.stop());
+            throw err;
+          });
+
+        if (this.releaseIfDisconnected(wasConnected, [stream, audioStream])) {
+          return;
+        }
+
+        this.watchTracks(audioStream.getTracks(), 'microphone');
+
+        let mixer = await this.mixAudio({
+          display: stream,
+          microphone: audioStream
+        });
+
+        if (this.releaseIfDisconnected(wasConnected, [stream, audioStream])) {
+          return;
+        }
+
+        if (mixer) {
+          stream = new MediaStream(stream.getVideoTracks().concat(mixer.track));
+        } else {
+          audioStream
+            .getAudioTracks()
+            .forEach(audioTrack => stream.addTrack(audioTrack));
+        }
+      }
+
+      if (recordScreen && pictureInPicture) {
+        stream = await this.composePictureInPicture(stream);
+
+        if (this.releaseIfDisconnected(wasConnected, [stream])) {
+          return;
+        }
+      }
+
+      if (this.options.liveSwitching && !recordScreen) {
+        await this.relayInputs(stream);
+
+        if (this.releaseIfDisconnected(wasConnected, [stream])) {
+          return;
+        }
+      }
+
+      this.mediaStream = stream;
+      this.syncSelectedDeviceIds(stream);
+      this.audioLevelMeter.attach(stream);
+      this.audioFrames.attach(stream);
+      this.startPreRoll();
+      this.setState({ liveStream: stream });
+      this.transition(
+        this.options.voiceActivated ? 'armed' : 'ready',
+        'media_acquired'
+      );
+      // Device labels are only exposed once permission has been granted
+      this.refreshDevices();
+      // Not every browser fires permission change events
+      this.checkPermissions();
+
+      return stream;
+    } catch (err) {
+      let error = toMediaRecorderError(err, 'acquisition');
+
+      // Releases whatever was set up before the failure, e.g. the mixer and
+      // its sources when the camera is refused for picture-in-picture
+      this.releaseMediaStream();
+      this.reportError(error);
+
+      if (error.code === 'permission_denied') {
+        this.checkPermissions();
+      }
+    }
+  }
+
+  /**
+   * Stops freshly acquired streams when the controller was disconnected while
+   * waiting for them, e.g. by unmounting during a permission prompt. Nothing
+   * would release them otherwise.
+   * @param {Boolean} wasConnected Whether the acquisition started connected.
+   * @param {MediaStream[]} streams
+   * @returns {Boolean} Whether the streams were released.
+   */
+  releaseIfDisconnected(wasConnected, streams) {
+    if (!wasConnected || this.connection) {
+      return false;
+    }
+
+    streams.forEach(stream =>
+      stream.getTracks().forEach(track => track.stop())
+    );
+    this.releaseMediaStream();
+
+    return true;
+  }
+
+  /**
+   * Mixes the audio of `sources` into a single track, which stays the same
+   * when a source is replaced.
+   * @param {Object.<String, MediaStream>} sources
+   * @returns {Promise<?Object>} The mixer, or `null` when the Web Audio API
+   * is missing or won't run, in which case the sources are left untouched.
+   */
+  async mixAudio(sources) {
+    if (!(window.AudioContext || window.webkitAudioContext)) {
+      return null;
+    }
+
+    if (this.audioMixer) {
+      this.audioMixer.stop();
+      this.audioMixer = null;
+    }
+
+    let mixer = createAudioMixer(sources);
+
+    if (!(await mixer.resume())) {
+      mixer.stop(false);
+
+      return null;
+    }
+
+    this.audioMixer = mixer;
+    audioSourceNames.forEach(name => this.applyAudioGain(name));
+
+    return mixer;
+  }
+
+  /**
+   * Records the microphone through a mixer and the camera through a canvas
+   * for `liveSwitching`, so that `switchDevice` can replace either of them
+   * mid-recording. `liveStream` keeps the device tracks.
+   * @param {MediaStream} stream
+   */
+  async relayInputs(stream) {
+    let [videoTrack] = stream.getVideoTracks();
+
+    if (stream.getAudioTracks().length) {
+      await this.mixAudio({ microphone: stream });
+    }
+
+    if (videoTrack && canCaptureCanvas()) {
+      let settings =
+        typeof videoTrack.getSettings === 'function'
+          ? videoTrack.getSettings() || {}
+          : {};
+
+      this.videoRelay = createVideoRelay(
+        stream,
+        settings.frameRate || defaultPictureInPictureOptions.frameRate
+      );
+    }
+
+    this.recordingStream = stream;
+    this.updateRecordingStream(stream);
+  }
+
+  /**
+   * Rebuilds the stream recorders use from the relayed inputs and the device
+   * tracks that aren't relayed.
+   * @param {MediaStream} [stream] Defaults to `mediaStream`.
+   */
+  updateRecordingStream(stream = this.mediaStream) {
+    if (!this.recordingStream) {
+      return;
+    }
+
+    let videoTracks = this.videoRelay
+      ? [this.videoRelay.track]
+      : stream.getVideoTracks();
+    let audioTracks = this.audioMixer
+      ? [this.audioMixer.track]
+      : stream.getAudioTracks();
+
+    this.recordingStream = new MediaStream(videoTracks.concat(audioTracks));
+  }
+
+  /**
+   * The stream recorders record, which only differs from `mediaStream` when
+   * inputs are relayed.
+   */
+  getRecordingStream() {
+    return this.recordingStream || this.mediaStream;
+  }
+
+  applyAudioGain(
+    name,
+    gains = this.state.audioGains,
+    muted = this.state.mutedAudioSources
+  ) {
+    if (this.audioMixer) {
+      this.audioMixer.setGain(name, muted[name] ? 0 : gains[name]);
+    }
+  }
+
+  setAudioGain(name, value) {
+    let gains = Object.assign({}, this.state.audioGains, { [name]: value });
+
+    this.setState({ audioGains: gains });
+    this.applyAudioGain(name, gains);
+  }
+
+  async composePictureInPicture(displayStream) {
+    let { pictureInPicture } = this.options;
+    let options = Object.assign(
+      {},
+      defaultPictureInPictureOptions,
+      isObject(pictureInPicture) ? pictureInPicture : {}
+    );
+    let cameraStream = await window.navigator.mediaDevices
+      .getUserMedia({
+        video: withDeviceId(options.video, this.state.selectedDeviceIds.video)
+      })
+      .catch(err => {
+        displayStream.getTracks().forEach(track => track.stop());
+        throw err;
+      });
+    let selected = this.state.selectedDeviceIds;
+
+    options.border = Object.assign(
+      {},
+      defaultPictureInPictureOptions.border,
+      options.border
+    );
+    this.compositor = createPictureInPictureCompositor(
+      displayStream,
+      cameraStream,
+      options
+    );
+    this.watchTracks(cameraStream.getTracks(), 'camera');
+    this.setState({
+      displayStream,
+      cameraStream,
+      selectedDeviceIds: {
+        audio: selected.audio,
+        video: getTrackDeviceId(cameraStream, 'video') || selected.video
+      }
+    });
+
+    return this.compositor.stream;
+  }
+
+  getUserMediaConstraints() {
+    let constraints = Object.assign({}, this.options.mediaStreamConstraints);
+    let selected = this.state.selectedDeviceIds;
+
+    if (constraints.audio) {
+      constraints.audio = withDeviceId(constraints.audio, selected.audio);
+    }
+
+    if (constraints.video) {
+      constraints.video = withDeviceId(constraints.video, selected.video);
+    }
+
+    return constraints;
+  }
+
+  clearMediaStream() {
+    this.assertCan('clear', 'clearMediaStream');
+    this.releaseMediaStream();
+    this.transition('idle', 'clearMediaStream');
+  }
+
+  /**
+   * Stops the stream and everything built on it without changing the status.
+   */
+  releaseMediaStream() {
+    this.unwatchTracks();
+    this.audioLevelMeter.detach();
+    this.audioFrames.detach();
+    this.stopPreRoll();
+
+    if (this.audioMixer) {
+      this.audioMixer.stop();
+      this.audioMixer = null;
+    }
+
+    if (this.videoRelay) {
+      this.videoRelay.stop();
+      this.videoRelay = null;
+    }
+
+    if (this.compositor) {
+      this.compositor.stop();
+      this.compositor = null;
+      this.setState({ displayStream: null, cameraStream: null });
+    }
+
+    if (this.mediaStream) {
+      this.mediaStream.getTracks().forEach(track => track.stop());
+      this.mediaStream = null;
+      this.setState({ liveStream: null });
+    }
+
+    this.recordingStream = null;
+  }
+
+  async startRecording(timeSlice) {
+    this.assertCan('start', 'startRecording');
+
+    return this.start(timeSlice, 'startRecording');
+  }
+
+  /**
+   * @param {Number} [timeSlice]
+   * @param {StatusChangeCause} cause
+   * @param {String} [replacedSegmentId] Segment the new take replaces.
+   */
+  async start(timeSlice, cause, replacedSegmentId = null) {
+    let { upload, persist } = this.options;
+
+    this.replacedSegmentId = null;
+
+    if (this.state.error) {
+      this.setState({ error: null });
+    }
+
+    if (!this.mediaStream) {
+      await this.acquireMediaStream(cause);
+    }
+
+    this.mediaChunks = [];
+    this.mediaChunksSize = 0;
+    this.pausedForSilence = false;
+    this.pausedForTrackEnd = false;
+    this.pausedForHidden = false;
+    this.recordingTimeSlice = timeSlice;
+    this.quietSince = null;
+    this.resetMarkers();
+    this.chunkUploader = upload ? this.createRecordingUploader() : null;
+    this.persistedSession = persist ? this.createPersistedSession() : null;
+    this.setState(
+      Object.assign(
+        { limitReason: null, uploadProgress: null },
+        noVideoPreviews
+      )
+    );
+
+    if (this.mediaStream) {
+      try {
+        if (this.preRollBuffer) {
+          this.promotePreRoll();
+        } else {
+          this.createMediaRecorder();
+          this.mediaRecorder.start(timeSlice);
+        }
+
+        // Only a take that actually started replaces the segment
+        this.replacedSegmentId = replacedSegmentId;
+        this.recordingTimer.start();
+        this.scheduleDurationLimit();
+        this.transition('recording', cause);
+        this.options.onStart();
+        this.emit('start');
+      } catch (error) {
+        this.handleError({ error });
+      }
+    }
+  }
+
+  createRecordingUploader() {
+    let { upload } = this.options;
+    let { onProgress = noop } = upload;
+
+    return createChunkUploader(
+      Object.assign({}, upload, {
+        onProgress: progress => {
+          this.setState({ uploadProgress: progress });
+          onProgress(progress);
+        }
+      })
+    );
+  }
+
+  retryUpload() {
+    if (this.chunkUploader) {
+      return this.chunkUploader.retry();
+    }
+  }
+
+  getRecordingStore() {
+    if (!window.indexedDB) {
+      return null;
+    }
+
+    if (!this.recordingStore) {
+      this.recordingStore = createRecordingStore(
+        this.options.persistDatabaseName
+      );
+    }
+
+    return this.recordingStore;
+  }
+
+  /**
+   * Writes to IndexedDB happen one after another so chunks are never deleted
+   * before they are written. Failures are logged without interrupting the
+   * recording.
+   */
+  persistTask(task) {
+    let store = this.getRecordingStore();
+
+    if (!store) {
+      return Promise.resolve();
+    }
+
+    this.pendingPersistence = this.pendingPersistence
+      .then(() => task(store))
+      .catch(err => console.warn('Unable to persist recording data.', err));
+
+    return this.pendingPersistence;
+  }
+
+  createPersistedSession() {
+    let session = {
+      id: createId(),
+      mimeType: this.state.mimeType || '',
+      startTime: Date.now(),
+      chunkCount: 0
+    };
+
+    this.persistTask(store => store.saveSession(session));
+
+    return session;
+  }
+
+  persistChunk(blob) {
+    let session = this.persistedSession;
+    let sequence = session.chunkCount;
+
+    session.chunkCount += 1;
+    session.mimeType = session.mimeType || blob.type;
+
+    let snapshot = Object.assign({}, session);
+
+    this.persistTask(store => store.saveChunk(snapshot, sequence, blob));
+  }
+
+  async refreshRecoverableSessions() {
+    let sessions = await this.persistTask(store => store.listSessions());
+
+    this.setState({
+      recoverableSessions: (sessions || []).filter(
+        session =>
+          !this.persistedSession || session.id !== this.persistedSession.id
+      )
+    });
+  }
+
+  async recoverSession(sessionId) {
+    await this.pendingPersistence;
+
+    let store = this.getRecordingStore();
+
+    return store
+      ? store.getSessionBlob(sessionId, this.options.blobOptions)
+      : null;
+  }
+
+  async discardSession(sessionId) {
+    await this.persistTask(store => store.deleteSession(sessionId));
+    await this.refreshRecoverableSessions();
+  }
+
+  createMediaRecorder() {
+    this.mediaRecorder = this.createRecorder(this.getRecordingStream());
+    this.attachMediaRecorderListeners(this.mediaRecorder);
+  }
+
+  createRecorder(stream) {
+    let { mimeType } = this.state;
+
+    if (this.options.engine === 'wav') {
+      return createWavRecorder(stream, this.getWavSettings());
+    }
+
+    return new MediaRecorder(
+      stream,
+      Object.assign(
+        {},
+        this.options.mediaRecorderOptions,
+        mimeType ? { mimeType } : {}
+      )
+    );
+  }
+
+  attachMediaRecorderListeners(recorder) {
+    let listeners = {
+      dataavailable: e => this.handleDataAvailable(e),
+      stop: () => this.handleStop(),
+      error: e => this.handleError(e)
+    };
+
+    Object.keys(listeners).forEach(event =>
+      recorder.addEventListener(event, listeners[event])
+    );
+    this.mediaRecorderListeners = listeners;
+  }
+
+  /**
+   * Keeps a recorder running while the stream is ready so that the last
+   * `preRoll` milliseconds can be prepended once recording starts. The first
+   * chunk carries the container header and is always kept.
+   */
+  startPreRoll() {
+    let { preRoll, preRollTimeSlice } = this.options;
+
+    this.stopPreRoll();
+
+    if (!preRoll) {
+      return;
+    }
+
+    let buffer = {
+      recorder: this.createRecorder(this.getRecordingStream()),
+      header: null,
+      chunks: []
+    };
+
+    buffer.listener = function handlePreRollData(e) {
+      let now = Date.now();
+
+      if (!e.data.size) {
+        return;
+      }
+
+      if (!buffer.header) {
+        buffer.header = e.data;
+        return;
+      }
+
+      buffer.chunks.push({ data: e.data, receivedAt: now });
+      buffer.chunks = buffer.chunks.filter(
+        chunk => now - chunk.receivedAt < preRoll
+      );
+    };
+
+    buffer.recorder.addEventListener('dataavailable', buffer.listener);
+
+    try {
+      buffer.recorder.start(preRollTimeSlice);
+      this.preRollBuffer = buffer;
+    } catch (error) {
+      this.handleError({ error });
+    }
+  }
+
+  stopPreRoll() {
+    let buffer = this.preRollBuffer;
+
+    if (!buffer) {
+      return;
+    }
+
+    this.preRollBuffer = null;
+    buffer.recorder.removeEventListener('dataavailable', buffer.listener);
+
+    if (buffer.recorder.state !== 'inactive') {
+      buffer.recorder.stop();
+    }
+  }
+
+  promotePreRoll() {
+    let { recorder, listener, header, chunks } = this.preRollBuffer;
+
+    this.preRollBuffer = null;
+    recorder.removeEventListener('dataavailable', listener);
+    this.mediaRecorder = recorder;
+    this.recordingTimeSlice = this.options.preRollTimeSlice;
+    this.attachMediaRecorderListeners(recorder);
+
+    [header]
+      .concat(chunks.map(chunk => chunk.data))
+      .filter(Boolean)
+      .forEach(data => this.handleDataAvailable({ data }));
+  }
+
+  /**
+   * Listens for tracks ending or muting.
+   */
+  watchTracks(tracks, source) {
+    tracks.forEach(track => {
+      if (this.watchedTracks.has(track)) {
+        return;
+      }
+
+      let listener = e => this.handleTrackEvent(e);
+
+      ['ended', 'mute', 'unmute'].forEach(event =>
+        track.addEventListener(event, listener)
+      );
+      this.watchedTracks.set(track, { source, listener });
+    });
+    this.refreshTrackHealth();
+  }
+
+  unwatchTracks(source) {
+    this.watchedTracks.forEach((watched, track) => {
+      if (source && watched.source !== source) {
+        return;
+      }
+
+      ['ended', 'mute', 'unmute'].forEach(event =>
+        track.removeEventListener(event, watched.listener)
+      );
+      this.watchedTracks.delete(track);
+    });
+    this.refreshTrackHealth();
+  }
+
+  describeTrack(track) {
+    return {
+      id: track.id,
+      kind: track.kind,
+      source: this.watchedTracks.get(track).source,
+      label: track.label,
+      readyState: track.readyState,
+      muted: track.muted
+    };
+  }
+
+  refreshTrackHealth() {
+    this.setState({
+      trackHealth: Array.from(this.watchedTracks.keys()).map(track =>
+        this.describeTrack(track)
+      )
+    });
+  }
+
+  handleTrackEvent(e) {
+    if (e.type === 'ended') {
+      this.handleTrackEnded(e.target);
+    } else {
+      this.refreshTrackHealth();
+    }
+  }
+
+  /**
+   * Applies `trackEndedPolicy` when a source track ends, e.g. because screen
+   * sharing was stopped or a microphone was unplugged. Recording always stops
+   * once no live track is left.
+   */
+  handleTrackEnded(track) {
+    let isRecording = this.isRecording();
+    let hasLiveTracks = Array.from(this.watchedTracks.keys()).some(
+      watchedTrack => watchedTrack.readyState === 'live'
+    );
+    let action = hasLiveTracks ? this.options.trackEndedPolicy : 'stop';
+    let kind = { microphone: 'audio', camera: 'video' }[
+      this.watchedTracks.get(track).source
+    ];
+
+    // Pausing only helps when `switchDevice` can replace the ended input
+    if (action === 'pause' && !(kind && this.canReplaceInput(kind))) {
+      action = 'stop';
+    }
+
+    this.refreshTrackHealth();
+    this.options.onTrackEnded({ track: this.describeTrack(track), action });
+
+    if (action === 'stop') {
+      if (isRecording) {
+        this.stop('track_ended');
+      } else if (!this.options.customMediaStream) {
+        this.releaseMediaStream();
+        this.transition('idle', 'track_ended');
+      }
+    } else if (action === 'pause') {
+      if (isRecording && this.mediaRecorder.state === 'recording') {
+        this.pause('track_ended');
+        this.pausedForTrackEnd = true;
+      }
+    } else if (
+      !isRecording &&
+      this.mediaStream &&
+      this.mediaStream.getTracks().includes(track)
+    ) {
+      // Continue with the remaining tracks, e.g. audio only. A running
+      // recorder keeps its tracks since changing them would start a second
+      // container, and the ended track simply stops producing data.
+      this.mediaStream.removeTrack(track);
+      this.updateRecordingStream();
+
+      if (this.preRollBuffer) {
+        this.startPreRoll();
+      }
+    }
+  }
+
+  /**
+   * Whether the recorded track of `kind` outlives the device track, so that
+   * the device can be replaced without changing the recorder's tracks.
+   * @param {('audio'|'video')} kind
+   */
+  canReplaceInput(kind) {
+    return Boolean(kind === 'audio' ? this.audioMixer : this.videoRelay);
+  }
+
+  resumeAfterTrackEnd() {
+    if (this.pausedForTrackEnd) {
+      this.resume('device_switched');
+    }
+  }
+
+  async switchDevice(kind, deviceId) {
+    if (kind !== 'audio' && kind !== 'video') {
+      console.warn(
+        '`switchDevice` expects a kind of either `audio` or `video`.'
+      );
+      return;
+    }
+
+    if (kind === 'video' && this.options.recordScreen) {
+      console.warn(
+        'Video input cannot be switched while recording the screen.'
+      );
+      return;
+    }
+
+    // Changing the recorder's tracks would start a second container, so only
+    // relayed inputs can be switched mid-recording
+    if (this.isRecording() && !this.canReplaceInput(kind)) {
+      throw new MediaRecorderError(
+        'invalid_state',
+        kind === 'audio'
+          ? 'The microphone can only be switched while recording with `liveSwitching` and the Web Audio API.'
+          : 'The camera can only be switched while recording with `liveSwitching` and canvas capture.'
+      );
+    }
+
+    this.setState({
+      selectedDeviceIds: Object.assign({}, this.state.selectedDeviceIds, {
+        [kind]: deviceId
+      })
+    });
+
+    if (!this.mediaStream) {
+      return;
+    }
+
+    try {
+      let constraints = this.options.mediaStreamConstraints[kind];
+      let stream = await window.navigator.mediaDevices.getUserMedia({
+        [kind]: withDeviceId(constraints, deviceId)
+      });
+      let source = kind === 'audio' ? 'microphone' : 'camera';
+      let nextTracks =
+        kind === 'audio' ? stream.getAudioTracks() : stream.getVideoTracks();
+
+      this.unwatchTracks(source);
+      this.watchTracks(nextTracks, source);
+
+      let isRelayed = this.canReplaceInput(kind);
+
+      // The relayed track stays in place so the recorder keeps running
+      if (kind === 'video' && isRelayed) {
+        this.videoRelay.replaceSource(stream);
+      } else if (isRelayed) {
+        this.audioMixer.replaceSource('microphone', stream);
+        this.applyAudioGain('microphone');
+
+        // Screen recordings show the mixed track in `liveStream`
+        if (!this.recordingStream) {
+          this.resumeAfterTrackEnd();
+
+          return this.mediaStream;
+        }
+      }
+
+      let previousTracks =
+        kind === 'audio'
+          ? this.mediaStream.getAudioTracks()
+          : this.mediaStream.getVideoTracks();
+
+      previousTracks.forEach(track => {
+        this.mediaStream.removeTrack(track);
+        track.stop();
+      });
+
+      nextTracks.forEach(track => {
+        if (kind === 'audio' && !isRelayed) {
+          track.enabled = !this.state.isAudioMuted;
+        }
+
+        this.mediaStream.addTrack(track);
+      });
+      this.updateRecordingStream();
+
+      if (kind === 'audio') {
+        this.audioLevelMeter.attach(this.mediaStream);
+        this.audioFrames.attach(this.mediaStream);
+      }
+
+      if (this.preRollBuffer && !isRelayed) {
+        this.startPreRoll();
+      }
+
+      this.resumeAfterTrackEnd();
+
+      return this.mediaStream;
+    } catch (err) {
+      let error = toMediaRecorderError(err, 'device_switch');
+
+      this.setState({ error });
+      this.options.onError(error);
+      this.emit('error', { error });
+    }
+  }
+
+  handleDataAvailable(e) {
+    let { maxSize } = this.options;
+
+    if (e.data.size) {
+      this.mediaChunks.push(e.data);
+      this.mediaChunksSize += e.data.size;
+
+      if (this.chunkUploader) {
+        this.chunkUploader.enqueue(e.data);
+      }
+
+      if (this.persistedSession) {
+        this.persistChunk(e.data);
+      }
+    }
+    this.options.onDataAvailable(e.data);
+    this.emit('dataavailable', { data: e.data });
+
+    if (maxSize && this.mediaChunksSize >= maxSize) {
+      this.reachLimit('maxSize');
+    }
+  }
+
+  scheduleDurationLimit() {
+    let { maxDuration } = this.options;
+
+    this.clearDurationLimit();
+
+    if (!maxDuration) {
+      return;
+    }
+
+    this.durationLimitTimer = setTimeout(
+      () => this.reachLimit('maxDuration'),
+      Math.max(0, maxDuration - this.recordingTimer.getElapsed())
+    );
+  }
+
+  clearDurationLimit() {
+    if (this.durationLimitTimer) {
+      clearTimeout(this.durationLimitTimer);
+      this.durationLimitTimer = null;
+    }
+  }
+
+  reachLimit(reason) {
+    if (!this.isRecording()) {
+      return;
+    }
+
+    this.setState({ limitReason: reason });
+    this.stop('limit_reached');
+    this.options.onLimitReached(reason);
+  }
+
+  handleStop() {
+    let { blobOptions, fixWebMMetadata, videoPreviews } = this.options;
+    let { mimeType } = this.state;
+    let blob = new Blob();
+
+    if (this.mediaChunks.length) {
+      blob = assembleBlob(
+        this.mediaChunks,
+        Object.assign(mimeType ? { type: mimeType } : {}, blobOptions)
+      );
+    }
+
+    if (this.options.engine === 'wav' && blob.size) {
+      blob = finalizeWavBlob(blob, this.getWavSettings());
+    }
+
+    if (this.persistedSession) {
+      let { id } = this.persistedSession;
+
+      this.persistedSession = null;
+      this.persistTask(store => store.deleteSession(id));
+    }
+
+    if (this.chunkUploader) {
+      this.chunkUploader.finalize({ type: blob.type });
+    }
+
+    let fixMetadata = fixWebMMetadata && blob.size > 0;
+    let generatePreviews =
+      videoPreviews && blob.size > 0 && this.isVideoBlob(blob);
+
+    if (fixMetadata || generatePreviews) {
+      this.processRecording(
+        blob,
+        this.recordingTimer.getElapsed(),
+        fixMetadata,
+        generatePreviews
+      );
+    } else {
+      this.completeRecording(blob);
+    }
+  }
+
+  async processRecording(blob, duration, fixMetadata, generatePreviews) {
+    let { videoPreviews } = this.options;
+    let previews;
+
+    if (fixMetadata) {
+      blob = await fixWebMBlob(blob, duration).catch(err => {
+        console.warn('Unable to fix WebM metadata.', err);
+
+        return blob;
+      });
+    }
+
+    if (generatePreviews) {
+      previews = await createVideoPreviews(
+        blob,
+        duration,
+        Object.assign(
+          {},
+          defaultVideoPreviewOptions,
+          isObject(videoPreviews) ? videoPreviews : {}
+        )
+      ).catch(err => {
+        console.warn('Unable to generate video previews.', err);
+
+        return noVideoPreviews;
+      });
+    }
+
+    this.completeRecording(blob, previews);
+  }
+
+  isVideoBlob(blob) {
+    if (blob.type) {
+      return blob.type.startsWith('video/');
+    }
+
+    return Boolean(
+      this.options.recordScreen || this.options.mediaStreamConstraints.video
+    );
+  }
+
+  completeRecording(blob, previews) {
+    let markers = this.recordedMarkers;
+
+    if (blob.size) {
+      this.setState({ mediaBlob: blob });
+    }
+
+    if (this.options.keepSegments) {
+      this.storeSegment(blob);
+    }
+
+    this.transition('stopped', 'recorder_stopped');
+
+    if (previews) {
+      this.setState({
+        poster: previews.poster,
+        thumbnails: previews.thumbnails
+      });
+      this.options.onStop(blob, markers, previews);
+    } else {
+      this.options.onStop(blob, markers);
+    }
+
+    this.emit('stop', { blob, markers, previews: previews || null });
+  }
 
-  if (unSupportedMediaConstraints.length !== 0) {
-    let toText = unSupportedMediaConstraints.join(',');
-    console.error(
-      `The following constraints ${toText} are not supported on this browser.`
+  storeSegment(blob) {
+    let replacedId = this.replacedSegmentId;
+    let current = this.state.segments;
+    let index = current.findIndex(({ id }) => id === replacedId);
+    let segment = Object.assign(
+      {
+        id: createId(),
+        blob,
+        size: blob.size,
+        duration: this.recordingTimer.getElapsed(),
+        markers: this.recordedMarkers
+      },
+      this.recordingTimer.getTimestamps()
     );
+    let next = current.slice();
+
+    this.replacedSegmentId = null;
+
+    if (index === -1) {
+      next.push(
+        Object.assign({}, segment, { name: `Take ${current.length + 1}` })
+      );
+    } else {
+      next[index] = Object.assign({}, segment, { name: current[index].name });
+    }
+
+    this.setState({ segments: next });
   }
-}
 
-const noop = () => {};
+  deleteSegment(id) {
+    this.setState({
+      segments: this.state.segments.filter(segment => segment.id !== id)
+    });
+  }
 
-/**
- * @callback Callback
- * @param {Blob} blob
- *
- * @callback ErrorCallback
- * @param {Error} error
- *
- * @typedef MediaRecorderProps
- * @type {Object}
- * @property {BlobPropertyBag} [blobOptions]
- * @property {Boolean} [recordScreen]
- * @property {MediaStream} [customMediaStream]
- * @property {Function} [onStart]
- * @property {Callback} [onStop]
- * @property {Callback} [onDataAvailable]
- * @property {ErrorCallback} [onError]
- * @property {Object} [mediaRecorderOptions]
- * @property {MediaStreamConstraints} mediaStreamConstraints
- *
- * @typedef MediaRecorderHookOptions
- * @type {Object}
- * @property {?Error} error
- * @property {('idle'|'acquiring_media'|'ready'|'recording'|'paused'|'stopping'|'stopped'|'failed')} status
- * @property {?Blob} mediaBlob
- * @property {Boolean} isAudioMuted
- * @property {Function} stopRecording,
- * @property {Function} getMediaStream,
- * @property {Function} clearMediaStream,
- * @property {Function} clearMediaBlob,
- * @property {Function} startRecording,
- * @property {Function} pauseRecording,
- * @property {Function} resumeRecording,
- * @property {Function} muteAudio
- * @property {Function} unMuteAudio
- * @property {?MediaStream} liveStream
- *
- * Creates a custom media recorder object using the MediaRecorder API.
- * @param {MediaRecorderProps}
- * @returns {MediaRecorderHookOptions}
- */
-function useMediaRecorder({
-  blobOptions,
-  recordScreen,
-  customMediaStream,
-  onStop = noop,
-  onStart = noop,
-  onError = noop,
-  mediaRecorderOptions,
-  onDataAvailable = noop,
-  mediaStreamConstraints = {}
-}) {
-  let mediaChunks = React.useRef([]);
-  let mediaStream = React.useRef(null);
-  let mediaRecorder = React.useRef(null);
-  let [status, setStatus] = React.useState('idle');
-  let [errorCache, cacheError] = React.useState(null);
-  let [mediaBlobCache, cacheMediaBlob] = React.useState(null);
-  let [isAudioMutedCache, cacheIsAudioMuted] = React.useState(false);
+  moveSegment(id, toIndex) {
+    let segment = this.state.segments.find(segment => segment.id === id);
 
-  async function getMediaStream() {
-    if (errorCache) {
-      cacheError(null);
+    if (!segment) {
+      return;
     }
 
-    setStatus('acquiring_media');
+    let next = this.state.segments.filter(segment => segment.id !== id);
 
-    if (customMediaStream) {
-      if(!customMediaStream instanceof MediaStream) {
-        console.warn('Some operations may fail because the provided media stream is not an instance of `MediaStream`.');
-      }
+    next.splice(toIndex, 0, segment);
+    this.setState({ segments: next });
+  }
 
-      mediaStream.current = customMediaStream;
-      setStatus('ready');
+  renameSegment(id, name) {
+    this.setState({
+      segments: this.state.segments.map(segment =>
+        segment.id === id ? Object.assign({}, segment, { name }) : segment
+      )
+    });
+  }
 
-      return customMediaStream;
+  /**
+   * Records a new take that replaces the segment in place once stopped.
+   */
+  async reRecordSegment(id, timeSlice) {
+    this.assertCan('start', 'reRecordSegment');
+
+    return this.start(timeSlice, 'startRecording', id);
+  }
+
+  /**
+   * Decodes every audio segment and joins them into a single WAV blob since
+   * compressed containers can't be concatenated byte for byte.
+   */
+  async concatenateSegments() {
+    let AudioContext = window.AudioContext || window.webkitAudioContext;
+    let { segments } = this.state;
+
+    if (!AudioContext) {
+      throw new Error('Concatenating segments requires the Web Audio API.');
+    }
+
+    if (!segments.length) {
+      return null;
     }
 
+    if (segments.some(segment => segment.blob.type.startsWith('video/'))) {
+      throw new Error('Only audio segments can be concatenated.');
+    }
+
+    let context = new AudioContext();
+
     try {
-      let stream;
+      let buffers = await Promise.all(
+        segments.map(async segment =>
+          context.decodeAudioData(await readBlobAsArrayBuffer(segment.blob))
+        )
+      );
 
-      if (recordScreen) {
-        stream = await window.navigator.mediaDevices.getDisplayMedia(
-          mediaStreamConstraints
-        );
-      } else {
-        stream = await window.navigator.mediaDevices.getUserMedia(
-          mediaStreamConstraints
-        );
-      }
+      return encodeWav(concatenateAudioBuffers(buffers), context.sampleRate);
+    } finally {
+      context.close();
+    }
+  }
 
-      if (recordScreen && mediaStreamConstraints.audio) {
-        let audioStream = await window.navigator.mediaDevices.getUserMedia({
-          audio: mediaStreamConstraints.audio
-        });
+  /**
+   * Decodes `mediaBlob` into peak amplitudes for drawing a static waveform.
+   */
+  async getWaveformPeaks(count = 1000) {
+    let AudioContext = window.AudioContext || window.webkitAudioContext;
+    let { mediaBlob } = this.state;
 
-        audioStream
-          .getAudioTracks()
-          .forEach(audioTrack => stream.addTrack(audioTrack));
-      }
+    if (!AudioContext) {
+      throw new Error('Waveform peaks require the Web Audio API.');
+    }
 
-      mediaStream.current = stream;
-      setStatus('ready');
+    if (!mediaBlob) {
+      return null;
+    }
 
-      return stream;
-    } catch (err) {
-      cacheError(err);
-      setStatus('failed');
+    let context = new AudioContext();
+
+    try {
+      let buffer = await context.decodeAudioData(
+        await readBlobAsArrayBuffer(mediaBlob)
+      );
+
+      return computePeaks(buffer, count);
+    } finally {
+      context.close();
+    }
+  }
+
+  /**
+   * Streams analyser frames of the live audio, e.g. to draw a waveform on a
+   * canvas without re-rendering.
+   * @param {AudioFrameCallback} callback
+   * @returns {function(): void} Unsubscribes.
+   */
+  subscribeToAudioFrames(callback) {
+    return this.audioFrames.subscribe(callback);
+  }
+
+  resetMarkers() {
+    this.recordedMarkers = [];
+    this.setState({ markers: [] });
+  }
+
+  /**
+   * Flags the current moment of the recording. Time spent paused is not
+   * counted, so markers line up with playback of `mediaBlob`.
+   */
+  addMarker(label, data) {
+    if (!this.isRecording()) {
+      console.warn('Markers can only be added while recording.');
+      return null;
     }
+
+    let marker = {
+      id: createId(),
+      label,
+      time: this.recordingTimer.getElapsed(),
+      createdAt: Date.now(),
+      data
+    };
+
+    this.recordedMarkers = this.recordedMarkers.concat(marker);
+    this.setState({ markers: this.recordedMarkers });
+
+    return marker;
   }
 
-  function clearMediaStream() {
-    if (mediaStream.current) {
-      mediaStream.current.getTracks().forEach(track => track.stop());
-      mediaStream.current = null;
-      setStatus("idle");
+  /**
+   * @param {('vtt'|'json')} format
+   */
+  exportMarkers(format = 'vtt') {
+    let duration = this.recordingTimer.getElapsed();
+
+    if (format === 'json') {
+      return JSON.stringify({ duration, markers: this.recordedMarkers });
     }
+
+    return markersToWebVTT(this.recordedMarkers, duration);
   }
 
-  async function startRecording(timeSlice) {
-    if(mediaRecorder.current && mediaRecorder.current.state !== 'inactive') {
-      console.warn('Attempting to call `startRecording` while state is already `recording`'); 
-      return;
+  /**
+   * @param {SnapshotOptions} [options]
+   * @returns {Promise<Blob>}
+   */
+  async takeSnapshot(options = {}) {
+    let capturingStatuses = ['ready', 'armed', 'recording', 'paused'];
+
+    if (!capturingStatuses.includes(this.state.status) || !this.mediaStream) {
+      throw new Error(
+        'Snapshots can only be taken while the media stream is active.'
+      );
     }
 
-    if (errorCache) {
-      cacheError(null);
+    let [videoTrack] = this.mediaStream.getVideoTracks();
+
+    if (!videoTrack) {
+      throw new Error('Snapshots require a video track.');
     }
 
-    if (!mediaStream.current) {
-      await getMediaStream();
+    let frame = await grabVideoFrame(videoTrack, options.timeout || 5000);
+
+    try {
+      return await encodeSnapshot(frame, options);
+    } finally {
+      frame.release();
     }
+  }
+
+  handleError(e) {
+    this.reportError(toMediaRecorderError(e.error, 'recording'));
+  }
 
-    mediaChunks.current = [];
+  reportError(error) {
+    this.recordingTimer.stop();
+    this.clearDurationLimit();
+    this.transition('failed', 'error', { error });
+    this.options.onError(error);
+    this.emit('error', { error });
+  }
 
-    if (mediaStream.current) { 
-      mediaRecorder.current = new MediaRecorder(
-        mediaStream.current,
-        mediaRecorderOptions
-      );
-      mediaRecorder.current.addEventListener(
-        'dataavailable',
-        handleDataAvailable
-      );
-      mediaRecorder.current.addEventListener('stop', handleStop);
-      mediaRecorder.current.addEventListener('error', handleError);
+  /**
+   * Finds the first capability problem with the current options. These are
+   * reported rather than thrown so that rendering never fails because of
+   * them.
+   * @returns {?MediaRecorderError}
+   */
+  getCapabilityError() {
+    let { engine, recordScreen, mimeTypes } = this.options;
+    let { mediaStreamConstraints, mediaRecorderOptions } = this.options;
+    let mediaDevices = window.navigator.mediaDevices;
+    let validationError = (code, message) =>
+      new MediaRecorderError(code, message, { phase: 'validation' });
 
-      try {
-        mediaRecorder.current.start(timeSlice);
-        setStatus('recording');
-        onStart();
-      } catch (error) {
-        handleError({ error });
+    if (engine === 'wav') {
+      if (
+        !(window.AudioContext || window.webkitAudioContext) ||
+        !window.AudioWorkletNode
+      ) {
+        return validationError(
+          'unsupported_browser',
+          'AudioWorklet is not supported in this browser. It is required by the `wav` engine.'
+        );
       }
+    } else if (!window.MediaRecorder) {
+      return validationError(
+        'unsupported_browser',
+        'MediaRecorder is not supported in this browser. Please ensure that you are running the latest version of your browser.'
+      );
     }
-  }
 
-  function handleDataAvailable(e) {
-    if (e.data.size) {
-      mediaChunks.current.push(e.data);
+    // `mediaDevices` is missing altogether outside secure contexts
+    if (recordScreen && !(mediaDevices && mediaDevices.getDisplayMedia)) {
+      return validationError(
+        'unsupported_browser',
+        'This browser does not support screen capturing.'
+      );
     }
-    onDataAvailable(e.data);
-  }
 
-  function handleStop() {
-    let blob = new Blob();
-    let sampleChunk = new Blob();
+    // A supported preference is used regardless of `mediaRecorderOptions`
+    if (engine === 'wav' || negotiateMimeType(mimeTypes)) {
+      return null;
+    }
 
-    if (mediaChunks.current.length) {
-      [sampleChunk] = mediaChunks.current;
+    if (
+      mediaRecorderOptions &&
+      mediaRecorderOptions.mimeType &&
+      !MediaRecorder.isTypeSupported(mediaRecorderOptions.mimeType)
+    ) {
+      return validationError(
+        'unsupported_mime_type',
+        `The specified MIME type supplied to MediaRecorder is not supported by this browser.`
+      );
+    }
 
-      let blobPropertyBag = Object.assign(
-        { type: sampleChunk.type },
-        blobOptions
+    if (mimeTypes && mimeTypes.length) {
+      return validationError(
+        'unsupported_mime_type',
+        `None of the preferred MIME types are supported by this browser.`
       );
+    }
+
+    return null;
+  }
 
-      blob = new Blob(mediaChunks.current, blobPropertyBag);
+  /**
+   * Browsers ignore constraints they don't know, so these are only advisory.
+   * @returns {?MediaRecorderError}
+   */
+  getConstraintError() {
+    let { mediaStreamConstraints } = this.options;
+    let unsupportedConstraints = ['video', 'audio']
+      .filter(kind => isObject(mediaStreamConstraints[kind]))
+      .flatMap(kind =>
+        validateMediaTrackConstraints(mediaStreamConstraints[kind])
+      );
 
-      cacheMediaBlob(blob);
+    if (!unsupportedConstraints.length) {
+      return null;
     }
 
-    setStatus('stopped');
-    onStop(blob);
+    return new MediaRecorderError(
+      'constraint_unsatisfiable',
+      `The following constraints ${unsupportedConstraints.join(
+        ','
+      )} are not supported on this browser.`,
+      { phase: 'validation' }
+    );
   }
 
-  function handleError(e) {
-    cacheError(e.error);
-    setStatus('failed');
-    onError(e.error);
+  reportCapabilityError() {
+    let capabilityError = this.getCapabilityError();
+    let error = capabilityError || this.getConstraintError();
+    let message = error && error.message;
+
+    // Options are often inline literals, so only report each problem once
+    if (message !== this.reportedCapabilityError) {
+      this.reportedCapabilityError = message;
+
+      if (capabilityError) {
+        this.reportError(capabilityError);
+      } else if (error) {
+        // Recording still works, so this doesn't fail the recorder
+        this.setState({ error });
+      }
+    }
   }
 
-  function muteAudio(mute) {
-    cacheIsAudioMuted(mute);
+  setAudioMuted(mute, source) {
+    let muted = Object.assign({}, this.state.mutedAudioSources);
+    // Ignores anything else, e.g. click events when used as a handler
+    let sources = audioSourceNames.includes(source)
+      ? [source]
+      : audioSourceNames;
+
+    sources.forEach(name => {
+      muted[name] = mute;
+    });
+    // Only screen recordings carry display audio
+    let isMuted = this.options.recordScreen
+      ? muted.display && muted.microphone
+      : muted.microphone;
 
-    if (mediaStream.current) {
-      mediaStream.current.getAudioTracks().forEach(audioTrack => {
-        audioTrack.enabled = !mute;
+    this.setState({ mutedAudioSources: muted, isAudioMuted: isMuted });
+
+    if (this.audioMixer) {
+      sources.forEach(name =>
+        this.applyAudioGain(name, this.state.audioGains, muted)
+      );
+    } else if (this.mediaStream) {
+      // Without mixing the sources share the stream and can't be told apart
+      this.mediaStream.getAudioTracks().forEach(audioTrack => {
+        audioTrack.enabled = !isMuted;
       });
     }
   }
 
-  function pauseRecording() {
-    if (mediaRecorder.current && mediaRecorder.current.state === 'recording') {
-      mediaRecorder.current.pause();
-      setStatus('paused');
+  muteAudio(source) {
+    this.setAudioMuted(true, source);
+  }
+
+  unMuteAudio(source) {
+    this.setAudioMuted(false, source);
+  }
+
+  pauseRecording() {
+    this.assertCan('pause', 'pauseRecording');
+    this.pause('pauseRecording');
+  }
+
+  pause(cause) {
+    if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
+      this.mediaRecorder.pause();
+      this.recordingTimer.pause();
+      this.clearDurationLimit();
+      this.transition('paused', cause);
     }
   }
 
-  function resumeRecording() {
-    if (mediaRecorder.current && mediaRecorder.current.state === 'paused') {
-      mediaRecorder.current.resume();
-      setStatus('recording');
+  resumeRecording() {
+    this.assertCan('resume', 'resumeRecording');
+    this.resume('resumeRecording');
+  }
+
+  resume(cause) {
+    this.pausedForSilence = false;
+    this.pausedForTrackEnd = false;
+    this.pausedForHidden = false;
+
+    if (this.mediaRecorder && this.mediaRecorder.state === 'paused') {
+      this.mediaRecorder.resume();
+      this.recordingTimer.resume();
+      this.scheduleDurationLimit();
+      this.transition('recording', cause);
     }
   }
 
-  function stopRecording() {
-    if (mediaRecorder.current) {
-      setStatus('stopping');
-      mediaRecorder.current.stop();
-      // not sure whether to place clean up in useEffect?
-      // If placed in useEffect the handler functions become dependencies of useEffect
-      mediaRecorder.current.removeEventListener(
-        'dataavailable',
-        handleDataAvailable
+  stopRecording() {
+    this.assertCan('stop', 'stopRecording');
+    this.stop('stopRecording');
+  }
+
+  stop(cause) {
+    if (this.mediaRecorder) {
+      this.transition('stopping', cause);
+      this.recordingTimer.stop();
+      this.clearDurationLimit();
+      detachMediaRecorderListeners(
+        this.mediaRecorder,
+        this.mediaRecorderListeners
       );
-      mediaRecorder.current.removeEventListener('stop', handleStop);
-      mediaRecorder.current.removeEventListener('error', handleError);
-      mediaRecorder.current = null;
+      this.mediaRecorder.stop();
+      this.mediaRecorder = null;
 
-      if (!customMediaStream) {
-        clearMediaStream();
+      if (!this.options.customMediaStream) {
+        this.releaseMediaStream();
+      } else {
+        this.startPreRoll();
       }
     }
   }
 
-  function clearMediaBlob() {
-    cacheMediaBlob(null);
+  clearMediaBlob() {
+    this.recordingTimer.reset();
+    this.resetMarkers();
+    this.setState(
+      Object.assign({ mediaBlob: null, limitReason: null }, noVideoPreviews)
+    );
   }
 
-  React.useEffect(() => {
-    if (!window.MediaRecorder) {
-      throw new ReferenceError(
-        'MediaRecorder is not supported in this browser. Please ensure that you are running the latest version of your browser.'
-      );
+  handlePageHidden() {
+    let recorder = this.mediaRecorder;
+    let { hiddenAction } = this.options;
+
+    if (!recorder || recorder.state !== 'recording') {
+      return;
     }
 
-    if (recordScreen && !window.navigator.mediaDevices.getDisplayMedia) {
-      throw new ReferenceError(
-        'This browser does not support screen capturing.'
-      );
+    if (hiddenAction === 'pause') {
+      this.pause('page_hidden');
+      this.pausedForHidden = true;
+    } else if (hiddenAction === 'flush') {
+      // Hands the latest chunk to uploads and persistence before the page
+      // may be discarded
+      recorder.requestData();
     }
+  }
 
-    if (isObject(mediaStreamConstraints.video)) {
-      validateMediaTrackConstraints(mediaStreamConstraints.video);
+  handlePageVisible() {
+    if (this.pausedForHidden) {
+      this.pausedForHidden = false;
+      this.resume('page_visible');
     }
+  }
 
-    if (isObject(mediaStreamConstraints.audio)) {
-      validateMediaTrackConstraints(mediaStreamConstraints.audio);
+  /**
+   * Only listens for `beforeunload` while it matters, since the listener
+   * keeps the page out of the back/forward cache.
+   */
+  updateUnloadGuard() {
+    let { status } = this.state;
+    let shouldWarn =
+      Boolean(this.connection) &&
+      this.options.warnBeforeUnload &&
+      (status === 'recording' || status === 'paused');
+
+    if (shouldWarn && !this.unloadGuard) {
+      this.unloadGuard = e => {
+        e.preventDefault();
+        // Older browsers only show the prompt when `returnValue` is set
+        e.returnValue = '';
+      };
+      window.addEventListener('beforeunload', this.unloadGuard);
+    } else if (!shouldWarn && this.unloadGuard) {
+      window.removeEventListener('beforeunload', this.unloadGuard);
+      this.unloadGuard = null;
     }
+  }
 
-    if (mediaRecorderOptions && mediaRecorderOptions.mimeType) {
-      if (!MediaRecorder.isTypeSupported(mediaRecorderOptions.mimeType)) {
-        console.error(
-          `The specified MIME type supplied to MediaRecorder is not supported by this browser.`
-        );
+  handleAudioLevel(level) {
+    let { voiceActivated, voiceThreshold, voiceHangover } = this.options;
+    let { voiceSilenceAction, onVoiceActivation } = this.options;
+    let { status } = this.state;
+
+    this.options.onAudioLevel(level);
+
+    if (!voiceActivated) {
+      return;
+    }
+
+    let now = Date.now();
+    let isSpeaking = level.rms >= voiceThreshold;
+
+    // Anything below `voiceThreshold` counts, so background noise that never
+    // drops below `silenceThreshold` still ends the recording
+    if (isSpeaking) {
+      this.quietSince = null;
+    } else if (this.quietSince === null) {
+      this.quietSince = now;
+    }
+
+    let isQuiet =
+      this.quietSince !== null && now - this.quietSince >= voiceHangover;
+
+    if (status === 'armed' && isSpeaking) {
+      this.start(this.recordingTimeSlice, 'voice_detected');
+      onVoiceActivation({ action: 'start', reason: 'voice_detected', level });
+    } else if (status === 'paused' && this.pausedForSilence && isSpeaking) {
+      this.resume('voice_detected');
+      onVoiceActivation({ action: 'resume', reason: 'voice_detected', level });
+    } else if (status === 'recording' && isQuiet) {
+      if (voiceSilenceAction === 'pause') {
+        this.pause('silence');
+        this.pausedForSilence = true;
+      } else {
+        this.stop('silence');
+      }
+
+      onVoiceActivation({
+        action: voiceSilenceAction,
+        reason: 'silence',
+        level
+      });
+    }
+  }
+}
+
+/**
+ * React 17 lacks `useSyncExternalStore`, so subscribe from an effect there
+ * and re-render whenever the snapshot changes.
+ */
+function useSubscription(subscribe, getSnapshot) {
+  let [, forceRender] = React.useReducer(count => count + 1, 0);
+  let snapshot = getSnapshot();
+  let latest = React.useRef(snapshot);
+
+  latest.current = snapshot;
+
+  React.useEffect(() => {
+    function handleChange() {
+      if (!Object.is(getSnapshot(), latest.current)) {
+        forceRender();
       }
     }
-  }, [mediaStreamConstraints, mediaRecorderOptions, recordScreen]);
 
+    // Catches anything that changed between rendering and subscribing
+    handleChange();
+
+    return subscribe(handleChange);
+  }, [subscribe, getSnapshot]);
+
+  return snapshot;
+}
+
+const useSyncExternalStore = React.useSyncExternalStore || useSubscription;
+
+/**
+ * Creates a controller for the lifetime of the component, keeps its options
+ * up to date and connects it while mounted.
+ * @param {MediaRecorderProps} options
+ * @returns {MediaRecorderController}
+ */
+function useController(options) {
+  let [controller] = React.useState(
+    () => new MediaRecorderController(options)
+  );
+
+  React.useLayoutEffect(() => {
+    controller.setOptions(options);
+  });
+
+  React.useEffect(() => {
+    controller.connect();
+
+    return () => controller.disconnect();
+  }, [controller]);
+
+  return controller;
+}
+
+const recorderValues = new WeakMap();
+
+/**
+ * The object `useMediaRecorder` returns for a snapshot of the controller. It
+ * is cached per snapshot, so it can be compared by reference as well.
+ * @param {MediaRecorderController} controller
+ * @param {MediaRecorderSnapshot} state
+ * @returns {MediaRecorderHookOptions}
+ */
+function getRecorderValue(controller, state) {
+  let cached = recorderValues.get(controller);
+
+  if (!cached || cached.state !== state) {
+    cached = { state, value: createRecorderValue(controller, state) };
+    recorderValues.set(controller, cached);
+  }
+
+  return cached.value;
+}
+
+function createRecorderValue(controller, state) {
   return {
-    error: errorCache,
-    status,
-    mediaBlob: mediaBlobCache,
-    isAudioMuted: isAudioMutedCache,
-    stopRecording,
-    getMediaStream,
-    startRecording,
-    pauseRecording,
-    resumeRecording,
-    clearMediaStream,
-    clearMediaBlob,
-    muteAudio: () => muteAudio(true),
-    unMuteAudio: () => muteAudio(false),
-    liveStream: mediaStream.current
+    error: state.error,
+    status: state.status,
+    can: state.can,
+    mediaBlob: state.mediaBlob,
+    isAudioMuted: state.isAudioMuted,
+    stopRecording: controller.stopRecording,
+    getMediaStream: controller.getMediaStream,
+    startRecording: controller.startRecording,
+    pauseRecording: controller.pauseRecording,
+    resumeRecording: controller.resumeRecording,
+    clearMediaStream: controller.clearMediaStream,
+    clearMediaBlob: controller.clearMediaBlob,
+    muteAudio: controller.muteAudio,
+    unMuteAudio: controller.unMuteAudio,
+    liveStream: state.liveStream,
+    devices: state.devices,
+    selectedDeviceIds: state.selectedDeviceIds,
+    switchDevice: controller.switchDevice,
+    trackHealth: state.trackHealth,
+    permissionState: state.permissionState,
+    permissionStates: state.permissionStates,
+    checkPermissions: controller.checkPermissions,
+    duration: state.duration,
+    startTime: state.startTime,
+    endTime: state.endTime,
+    limitReason: state.limitReason,
+    audioLevel: state.audioLevel,
+    isSilent: state.isSilent,
+    subscribeToAudioFrames: controller.subscribeToAudioFrames,
+    getWaveformPeaks: controller.getWaveformPeaks,
+    uploadProgress: state.uploadProgress,
+    retryUpload: controller.retryUpload,
+    recoverableSessions: state.recoverableSessions,
+    recoverSession: controller.recoverSession,
+    discardSession: controller.discardSession,
+    mimeType: state.mimeType,
+    displayStream: state.displayStream,
+    cameraStream: state.cameraStream,
+    audioGains: state.audioGains,
+    setAudioGain: controller.setAudioGain,
+    mutedAudioSources: state.mutedAudioSources,
+    segments: state.segments,
+    deleteSegment: controller.deleteSegment,
+    moveSegment: controller.moveSegment,
+    renameSegment: controller.renameSegment,
+    reRecordSegment: controller.reRecordSegment,
+    concatenateSegments: controller.concatenateSegments,
+    markers: state.markers,
+    addMarker: controller.addMarker,
+    exportMarkers: controller.exportMarkers,
+    takeSnapshot: controller.takeSnapshot,
+    poster: state.poster,
+    thumbnails: state.thumbnails
   };
 }
 
+/**
+ * Creates a custom media recorder object using the MediaRecorder API.
+ * @param {MediaRecorderProps}
+ * @returns {MediaRecorderHookOptions}
+ */
+function useMediaRecorder(options) {
+  let controller = useController(options);
+  let state = useSyncExternalStore(
+    controller.subscribe,
+    controller.getSnapshot
+  );
+
+  return getRecorderValue(controller, state);
+}
+
+const MediaRecorderContext = React.createContext(null);
+
+/**
+ * Shares a single recorder with every component below it. Accepts the same
+ * props as `useMediaRecorder`.
+ * @param {MediaRecorderProps & { children: any }} props
+ */
+function MediaRecorderProvider({ children, ...options }) {
+  let controller = useController(options);
+
+  return React.createElement(
+    MediaRecorderContext.Provider,
+    { value: controller },
+    children
+  );
+}
+
+function useProvidedController(hookName) {
+  let controller = React.useContext(MediaRecorderContext);
+
+  if (!controller) {
+    throw new Error(
+      `\`${hookName}\` must be used within a \`MediaRecorderProvider\`.`
+    );
+  }
+
+  return controller;
+}
+
+/**
+ * Reads a slice of the shared recorder. The component only re-renders when
+ * the selected value changes, so selectors should return values from the
+ * recorder rather than build new objects.
+ * @param {function(MediaRecorderHookOptions): any} selector
+ */
+function useMediaRecorderSelector(selector) {
+  let controller = useProvidedController('useMediaRecorderSelector');
+
+  return useSyncExternalStore(controller.subscribe, () =>
+    selector(getRecorderValue(controller, controller.getSnapshot()))
+  );
+}
+
+function useMediaRecorderContext() {
+  return useMediaRecorderSelector(recorder => recorder);
+}
+
+function useMediaRecorderStatus() {
+  return useMediaRecorderSelector(recorder => recorder.status);
+}
+
+function useMediaRecorderStream() {
+  return useMediaRecorderSelector(recorder => recorder.liveStream);
+}
+
+function useMediaRecorderBlob() {
+  return useMediaRecorderSelector(recorder => recorder.mediaBlob);
+}
+
+/**
+ * The recorder's functions, e.g. `startRecording`. They never change, so
+ * using them doesn't cause re-renders.
+ */
+function useMediaRecorderActions() {
+  let controller = useProvidedController('useMediaRecorderActions');
+
+  return React.useMemo(
+    () =>
+      Object.fromEntries(
+        controllerActions.map(name => [name, controller[name]])
+      ),
+    [controller]
+  );
+}
+
 module.exports = useMediaRecorder;
+module.exports.createChunkUploader = createChunkUploader;
+module.exports.MediaRecorderController = MediaRecorderController;
+module.exports.MediaRecorderError = MediaRecorderError;
+module.exports.MediaRecorderProvider = MediaRecorderProvider;
+module.exports.useMediaRecorderSelector = useMediaRecorderSelector;
+module.exports.useMediaRecorderContext = useMediaRecorderContext;
+module.exports.useMediaRecorderStatus = useMediaRecorderStatus;
+module.exports.useMediaRecorderStream = useMediaRecorderStream;
+module.exports.useMediaRecorderBlob = useMediaRecorderBlob;
+module.exports.useMediaRecorderActions = useMediaRecorderActions;